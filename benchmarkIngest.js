@@ -0,0 +1,139 @@
+// benchmark-ingest.js
+// Measures machine-data ingestion against a local mongod: the old
+// per-item findOneAndUpdate loop vs. bulkWrite (unordered and ordered).
+// Usage: node benchmarkIngest.js [--items 5000] [--machines 10] [--bulk 1000]
+// Uses its own database (BENCH_MONGO_URI) and drops it when done.
+require("dotenv").config();
+
+const BENCH_MONGO_URI =
+  process.env.BENCH_MONGO_URI ||
+  "mongodb://127.0.0.1:27017/factory_monitor_bench";
+
+function getArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// Read by services/ingest.js when it loads
+if (getArg("bulk")) process.env.INGEST_BULK_SIZE = getArg("bulk");
+
+const mongoose = require("mongoose");
+const MachineData = require("./models/machineData");
+const { writeMachineData, toUpsert, BULK_SIZE } = require("./services/ingest");
+const { getShiftResolver } = require("./services/shiftCalendar");
+const { getRegistry } = require("./services/machineRegistry");
+const { getMachineTimeZoneResolver } = require("./services/sites");
+
+const STATUSES = ["RUNNING", "RUNNING", "RUNNING", "DOWNTIME", "OFF"];
+
+// A collector back-filling after an outage: one record per machine every 10s
+function generateItems(count, machines) {
+  const start = Date.UTC(2026, 0, 1);
+  return Array.from({ length: count }, (_, i) => ({
+    machine: `BENCH-${(i % machines) + 1}`,
+    timestamp: new Date(start + Math.floor(i / machines) * 10000).toISOString(),
+    status: STATUSES[i % STATUSES.length],
+    pieceCount: i % 7,
+  }));
+}
+
+// The pre-bulk pipeline: one awaited upsert per item
+async function perItemUpserts(items) {
+  const context = {
+    tzFor: await getMachineTimeZoneResolver(),
+    shifts: await getShiftResolver(),
+    registry: await getRegistry(),
+    collector: null,
+  };
+  let inserted = 0;
+  for (const item of items) {
+    const { op } = toUpsert(item, context);
+    const result = await MachineData.findOneAndUpdate(
+      op.updateOne.filter,
+      op.updateOne.update,
+      { upsert: true, new: true, includeResultMetadata: true },
+    );
+    if (!result.lastErrorObject.updatedExisting) inserted++;
+  }
+  return inserted;
+}
+
+async function timed(label, items, fn) {
+  await MachineData.deleteMany({});
+  const startedAt = Date.now();
+  const inserted = await fn();
+  const ms = Date.now() - startedAt;
+  const perSecond = Math.round((items.length * 1000) / Math.max(ms, 1));
+  console.log(
+    `   ${label.padEnd(26)} ${String(ms).padStart(7)} ms  ${String(perSecond).padStart(7)} items/s  (${inserted} inserted)`,
+  );
+  return ms;
+}
+
+async function run() {
+  const count = parseInt(getArg("items")) || 5000;
+  const machines = parseInt(getArg("machines")) || 10;
+
+  console.log("🚀 Starting ingestion benchmark...\n");
+
+  try {
+    await mongoose.connect(BENCH_MONGO_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    console.log(`✅ Connected to ${BENCH_MONGO_URI}`);
+    // The benchmark wipes its collection, never point it at real data
+    if (!/bench/i.test(mongoose.connection.name)) {
+      throw new Error(
+        `Refusing to run against "${mongoose.connection.name}" (database name must contain "bench")`,
+      );
+    }
+    await MachineData.syncIndexes();
+
+    const items = generateItems(count, machines);
+    console.log(
+      `📦 ${count} items, ${machines} machines, bulk size ${BULK_SIZE}\n`,
+    );
+
+    const legacy = await timed("per-item findOneAndUpdate", items, () =>
+      perItemUpserts(items),
+    );
+    const unordered = await timed(
+      "bulkWrite (unordered)",
+      items,
+      async () =>
+        (await writeMachineData(items, { ordered: false })).saved.length,
+    );
+    await timed(
+      "bulkWrite (ordered)",
+      items,
+      async () =>
+        (await writeMachineData(items, { ordered: true })).saved.length,
+    );
+
+    // Same batch again (still stored from the ordered run): all duplicates
+    const startedAt = Date.now();
+    const { results } = await writeMachineData(items, { ordered: false });
+    const duplicates = results.filter((r) => r.status === "duplicate").length;
+    console.log(
+      `   ${"re-send (all duplicates)".padEnd(26)} ${String(Date.now() - startedAt).padStart(7)} ms  (${duplicates} duplicates)`,
+    );
+
+    console.log(
+      `\n📊 bulkWrite is ${(legacy / Math.max(unordered, 1)).toFixed(1)}x faster than per-item upserts`,
+    );
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    if (
+      mongoose.connection.readyState === 1 &&
+      /bench/i.test(mongoose.connection.name)
+    ) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+    console.log("\n👋 Disconnected from MongoDB");
+  }
+}
+
+run();
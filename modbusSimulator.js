@@ -0,0 +1,78 @@
+// modbus-simulator.js
+// Local Modbus TCP server standing in for the PLCs in a poller config:
+// serves every coil/register it lists and changes one machine at random.
+// Usage: node modbusSimulator.js [--config modbus.example.json] [--every 10]
+// Point MODBUS_CONFIG_FILE at the same file to poll it.
+const fs = require("fs");
+const ModbusRTU = require("modbus-serial");
+
+function getArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+const config = JSON.parse(
+  fs.readFileSync(getArg("config") || "modbus.example.json", "utf8"),
+);
+const everySeconds = parseFloat(getArg("every")) || 10;
+
+// One server per port in the config; machines keyed by "type:address"
+const servers = new Map();
+config.endpoints.forEach((endpoint) => {
+  const port = endpoint.port || 502;
+  if (!servers.has(port))
+    servers.set(port, { values: new Map(), machines: [] });
+  (endpoint.machines || []).forEach((m) => {
+    const isBit = m.type === "coil" || m.type === "discrete";
+    servers.get(port).values.set(`${m.type}:${m.address}`, isBit ? false : 0);
+    servers.get(port).machines.push({ ...m, port, isBit });
+  });
+});
+
+function read(port, type, address) {
+  return servers.get(port).values.get(`${type}:${address}`) ?? 0;
+}
+
+// Next value for a machine: flip a bit, or step through the map's values
+function change(machine) {
+  const { values } = servers.get(machine.port);
+  const key = `${machine.type}:${machine.address}`;
+  if (machine.isBit) {
+    values.set(key, !values.get(key));
+  } else {
+    const options = Object.keys(machine.map || { 0: "", 1: "" }).map(Number);
+    const next = (options.indexOf(values.get(key)) + 1) % options.length;
+    values.set(key, options[next]);
+  }
+  console.log(
+    `🔁 ${machine.machine} (${key} on :${machine.port}) = ${values.get(key)}`,
+  );
+}
+
+servers.forEach((server, port) => {
+  const vector = {
+    getCoil: (address) => read(port, "coil", address),
+    getDiscreteInput: (address) => read(port, "discrete", address),
+    getHoldingRegister: (address) => read(port, "holding", address),
+    getInputRegister: (address) => read(port, "input", address),
+    setCoil: (address, value) => server.values.set(`coil:${address}`, !!value),
+    setRegister: (address, value) =>
+      server.values.set(`holding:${address}`, value),
+  };
+  // Answers any unit ID
+  const tcp = new ModbusRTU.ServerTCP(vector, { host: "0.0.0.0", port });
+  tcp.on("socketError", (err) =>
+    console.error("❌ Socket error:", err.message),
+  );
+  console.log(
+    `🏭 Simulating ${server.machines.length} machines on port ${port}`,
+  );
+});
+
+const machines = [...servers.values()].flatMap((s) => s.machines);
+setInterval(() => {
+  change(machines[Math.floor(Math.random() * machines.length)]);
+}, everySeconds * 1000);
+console.log(
+  `🔁 Changing a random machine every ${everySeconds}s (Ctrl+C to stop)`,
+);
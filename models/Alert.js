@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const AlertSchema = new mongoose.Schema(
+  {
+    machineName: { type: String, required: true, index: true },
+
+    // Watched status (DOWNTIME/OFF/UNKNOWN) or STALE = nothing received
+    type: {
+      type: String,
+      enum: ["DOWNTIME", "OFF", "UNKNOWN", "STALE"],
+      required: true,
+    },
+
+    // null = built-in default rule from .env
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AlertRule",
+      default: null,
+    },
+    ruleName: { type: String, default: null },
+
+    // Number of escalation steps already notified
+    level: { type: Number, default: 0 },
+
+    state: {
+      type: String,
+      enum: ["OPEN", "RESOLVED"],
+      default: "OPEN",
+    },
+
+    // When the incident started (downtime start / last data received)
+    since: { type: Date, required: true },
+
+    openedAt: { type: Date, default: Date.now },
+    notifiedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    resolvedNotifiedAt: { type: Date, default: null },
+
+    recipients: { type: [String], default: [] },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+// ✅ Only one open incident per rule + machine + type
+AlertSchema.index(
+  { rule: 1, machineName: 1, type: 1 },
+  { unique: true, partialFilterExpression: { state: "OPEN" } },
+);
+
+AlertSchema.index({ state: 1, openedAt: -1 });
+
+module.exports = mongoose.model("Alert", AlertSchema);
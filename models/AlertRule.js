@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const EscalationStepSchema = new mongoose.Schema(
+  {
+    // Minutes since the incident started
+    afterMinutes: { type: Number, required: true, min: 1 },
+    recipients: { type: [String], default: [] },
+    label: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const AlertRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    enabled: { type: Boolean, default: true },
+
+    // Scope: explicit machine names, registry groups (line / section /
+    // department) and/or a name pattern (regex). All empty = every machine.
+    machines: { type: [String], default: [] },
+    groups: { type: [String], default: [] },
+    machinePattern: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => {
+          if (!v) return true;
+          try {
+            new RegExp(v);
+            return true;
+          } catch (err) {
+            return false;
+          }
+        },
+        message: "machinePattern is not a valid regular expression",
+      },
+    },
+
+    // STATUS = machine stuck in `status`, NO_HEARTBEAT = nothing received
+    condition: {
+      type: String,
+      enum: ["STATUS", "NO_HEARTBEAT"],
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["DOWNTIME", "OFF", "UNKNOWN"],
+      default: "DOWNTIME",
+    },
+
+    thresholdMinutes: { type: Number, required: true, min: 1 },
+
+    recipients: { type: [String], default: [] },
+
+    // e.g. supervisor at 10 min (recipients), plant manager at 30 min
+    escalation: { type: [EscalationStepSchema], default: [] },
+
+    notifyOnResolve: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("AlertRule", AlertRuleSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// A shop-floor data collector and the machines its API key may report
+const CollectorSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+
+    description: { type: String, default: null, trim: true },
+
+    // Machine names (Machine.name) this collector may send data for
+    machines: { type: [String], default: [] },
+
+    // Key = "fmc_<keyPrefix>_<secret>"; only the SHA-256 of it is stored
+    keyPrefix: { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true, select: false },
+
+    // Old key kept valid for a grace period after rotation
+    previousKeyPrefix: { type: String, default: null },
+    previousKeyHash: { type: String, default: null, select: false },
+    previousKeyExpiresAt: { type: Date, default: null },
+
+    active: { type: Boolean, default: true },
+    rotatedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    lastSeenAt: { type: Date, default: null },
+
+    // Highest batch sequence number received (see services/batches.js)
+    lastSequence: { type: Number, default: null },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("Collector", CollectorSchema);
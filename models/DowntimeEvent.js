@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One uninterrupted DOWNTIME run of a machine, built from MachineData
+const DowntimeEventSchema = new mongoose.Schema(
+  {
+    machineName: { type: String, required: true },
+
+    // Registry line at the time the event was detected
+    line: { type: String, default: null },
+
+    shift: { type: String, default: null },
+
+    startedAt: { type: Date, required: true },
+
+    // null while the machine is still in DOWNTIME
+    endedAt: { type: Date, default: null },
+
+    durationSeconds: { type: Number, default: 0, min: 0 },
+
+    // MachineData records of the RUNNING→DOWNTIME and DOWNTIME→X transitions
+    startRecord: { type: mongoose.Schema.Types.ObjectId, default: null },
+    endRecord: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // ReasonCode.code, null = not yet explained
+    reasonCode: { type: String, default: null },
+    comment: { type: String, default: null },
+    acknowledgedBy: { type: String, default: null },
+    acknowledgedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+DowntimeEventSchema.index({ machineName: 1, startedAt: 1 }, { unique: true });
+DowntimeEventSchema.index({ startedAt: -1 });
+DowntimeEventSchema.index({ reasonCode: 1, startedAt: -1 });
+
+module.exports = mongoose.model("DowntimeEvent", DowntimeEventSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// One ingestion request from a collector, kept so a retried batch gets its
+// original result back and so sequence gaps can be found
+const IngestBatchSchema = new mongoose.Schema(
+  {
+    // Collector id, or "user:<username>" for an admin posting by hand
+    scope: { type: String, required: true },
+
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Collector",
+      default: null,
+    },
+
+    // Idempotency-Key header / batchId field (null when not sent)
+    batchId: { type: String, default: null },
+
+    // Collector's monotonic batch counter (null when not sent)
+    sequence: { type: Number, default: null },
+
+    itemCount: { type: Number, default: 0 },
+
+    // Response body of the first attempt, returned again for retries;
+    // null while that attempt is still being processed
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // Queue entry processing the batch, and since when (see claimBatch)
+    owner: { type: String, default: null },
+    claimedAt: { type: Date, default: null },
+
+    // { expected, received, missing } when this batch skipped sequence numbers
+    gap: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false },
+);
+
+IngestBatchSchema.index(
+  { scope: 1, batchId: 1 },
+  { unique: true, partialFilterExpression: { batchId: { $type: "string" } } },
+);
+IngestBatchSchema.index({ collector: 1, sequence: 1 });
+
+// ✅ Keep 7 days: collectors retry within minutes, gaps are checked daily
+IngestBatchSchema.index(
+  { receivedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 },
+);
+
+module.exports = mongoose.model("IngestBatch", IngestBatchSchema);
@@ -9,6 +9,12 @@ const LiveStatusSchema = new mongoose.Schema(
       default: "UNKNOWN",
     },
     updatedAt: { type: Date, required: true },
+    // Collector that sent the latest status (null = entered by an admin)
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Collector",
+      default: null,
+    },
   },
   { versionKey: false }
 );
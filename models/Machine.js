@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const MachineSchema = new mongoose.Schema(
+  {
+    // Key the collectors send as `machine` (MachineData.machineName)
+    name: { type: String, required: true, unique: true, trim: true },
+
+    displayName: { type: String, default: null, trim: true },
+
+    line: { type: String, default: null, trim: true },
+    section: { type: String, default: null, trim: true },
+    department: { type: String, default: null, trim: true },
+
+    type: { type: String, default: null, trim: true },
+
+    // Site.code, decides the time zone of naive collector timestamps
+    site: { type: String, default: null, trim: true },
+
+    // Rated output (pieces per minute), used for performance figures
+    ratedSpeed: { type: Number, default: null, min: 0 },
+
+    // false = decommissioned, data for it is quarantined
+    active: { type: Boolean, default: true },
+    decommissionedAt: { type: Date, default: null },
+
+    // Created by ingestion with AUTO_REGISTER_MACHINES=true
+    autoRegistered: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+MachineSchema.index({ line: 1, name: 1 });
+
+module.exports = mongoose.model("Machine", MachineSchema);
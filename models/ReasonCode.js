@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const ReasonCodeSchema = new mongoose.Schema(
+  {
+    // e.g. NEEDLE_BREAK
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+
+    label: { type: String, required: true, trim: true },
+
+    // Optional grouping e.g. Mechanical, Material, Utilities
+    category: { type: String, default: null, trim: true },
+
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("ReasonCode", ReasonCodeSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Ingested items that were not stored (kept for later inspection)
+const RejectedItemSchema = new mongoose.Schema(
+  {
+    // machine-data | live-status
+    source: { type: String, required: true },
+
+    reason: { type: String, required: true },
+
+    // Validation details, e.g. "timestamp is not a valid timestamp"
+    field: { type: String, default: null },
+    message: { type: String, default: null },
+
+    machineName: { type: String, default: null, index: true },
+
+    // Collector whose key sent the item (null = user / unknown)
+    collector: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // Raw item exactly as the collector sent it
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false },
+);
+
+RejectedItemSchema.index({ reason: 1, receivedAt: -1 });
+
+// ✅ Keep 30 days of rejected items
+RejectedItemSchema.index(
+  { receivedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 },
+);
+
+module.exports = mongoose.model("RejectedItem", RejectedItemSchema);
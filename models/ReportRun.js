@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Progress of a scheduled report, so restarts neither skip nor repeat mails
+const ReportRunSchema = new mongoose.Schema(
+  {
+    // "shift:<calendar name>"
+    key: { type: String, required: true, unique: true },
+
+    // End of the last shift whose report was mailed
+    lastEnd: { type: Date, required: true },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("ReportRun", ReportRunSchema);
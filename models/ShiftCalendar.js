@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const { isValidTimeZone } = require("../utils/time");
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A shift ending at or before its start time runs past midnight
+const ShiftSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    start: { type: String, required: true, match: HHMM },
+    end: { type: String, required: true, match: HHMM },
+  },
+  { _id: false },
+);
+
+const WeekdayOverrideSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday … 5 = Friday, 6 = Saturday
+    weekday: { type: Number, required: true, min: 0, max: 6 },
+    shifts: { type: [ShiftSchema], default: [] },
+  },
+  { _id: false },
+);
+
+// Date range with its own pattern, e.g. Ramadan
+const PeriodSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    from: { type: String, required: true, match: DATE_KEY },
+    to: { type: String, required: true, match: DATE_KEY },
+    shifts: { type: [ShiftSchema], default: [] },
+    weekdayOverrides: { type: [WeekdayOverrideSchema], default: [] },
+  },
+  { _id: false },
+);
+
+const HolidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, match: DATE_KEY },
+    name: { type: String, default: null, trim: true },
+  },
+  { _id: false },
+);
+
+const ShiftCalendarSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+
+    // Used for machines whose line has no calendar of its own
+    isDefault: { type: Boolean, default: false },
+
+    // Registry lines (Machine.line) following this calendar
+    lines: { type: [String], default: [] },
+
+    // IANA zone the shift times are wall-clock in (null = plant zone)
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => !v || isValidTimeZone(v),
+        message: "timezone must be a valid IANA time zone",
+      },
+    },
+
+    shifts: { type: [ShiftSchema], default: [] },
+    weekdayOverrides: { type: [WeekdayOverrideSchema], default: [] },
+    periods: { type: [PeriodSchema], default: [] },
+    holidays: { type: [HolidaySchema], default: [] },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("ShiftCalendar", ShiftCalendarSchema);
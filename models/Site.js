@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { isValidTimeZone } = require("../utils/time");
+
+const SiteSchema = new mongoose.Schema(
+  {
+    // Short key referenced by Machine.site and ?site=
+    code: { type: String, required: true, unique: true, trim: true },
+
+    name: { type: String, default: null, trim: true },
+
+    // IANA name e.g. Asia/Karachi
+    timezone: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidTimeZone,
+        message: "timezone must be a valid IANA time zone",
+      },
+    },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("Site", SiteSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// One change of a machine's status, detected at ingestion (or rebuilt from
+// MachineData), so "when did X last change" is a single indexed lookup
+const StateTransitionSchema = new mongoose.Schema(
+  {
+    machineName: { type: String, required: true },
+
+    // Registry line at the time the transition was detected
+    line: { type: String, default: null },
+
+    // null for the first status ever seen for the machine
+    fromStatus: { type: String, default: null },
+    toStatus: { type: String, required: true },
+
+    at: { type: Date, required: true },
+
+    // Time spent in fromStatus (since the previous transition), null when
+    // there is no previous transition
+    durationSeconds: { type: Number, default: null, min: 0 },
+
+    // Where it was detected: "machine-data" or "live-status"
+    source: { type: String, required: true },
+
+    // MachineData record that carried the new status (machine-data only)
+    record: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+StateTransitionSchema.index({ machineName: 1, at: 1 }, { unique: true });
+StateTransitionSchema.index({ at: -1 });
+StateTransitionSchema.index({ line: 1, at: -1 });
+
+module.exports = mongoose.model("StateTransition", StateTransitionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const ROLES = ["admin", "supervisor", "viewer"];
+
+const UserSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+
+    displayName: { type: String, default: null, trim: true },
+
+    // "scrypt$<salt>$<hash>", see services/auth.js
+    passwordHash: { type: String, required: true, select: false },
+
+    role: { type: String, enum: ROLES, default: "viewer" },
+
+    active: { type: Boolean, default: true },
+
+    lastLoginAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true, // createdAt / updatedAt
+    versionKey: false,
+  },
+);
+
+UserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model("User", UserSchema);
@@ -37,12 +37,33 @@ const MachineDataSchema = new mongoose.Schema(
       default: null,
     },
 
-    // Duration until NEXT state change (seconds)
+    // Seconds until the machine's NEXT record, maintained by the server
+    // (0 while this is the latest record)
     durationSeconds: {
       type: Number,
       default: 0,
       min: 0,
     },
+
+    // Optional production counters, pieces made since the previous record
+    pieceCount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    rejectCount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    // Collector that sent the record (null = entered by an admin)
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Collector",
+      default: null,
+    },
   },
   {
     timestamps: true, // createdAt / updatedAt
@@ -54,32 +75,18 @@ const MachineDataSchema = new mongoose.Schema(
    🔐 CRITICAL INDEXES
    ========================================================= */
 
-// Add this method to your schema (inside the schema definition):
+// Same key as the unique index: machine + exact timestamp. Retried batches
+// are caught by their batch ID (services/batches.js), not by fuzzy times,
+// so two state changes within a second are both kept.
 MachineDataSchema.methods.getUniqueKey = function () {
-  // Round timestamp to nearest second (removes milliseconds)
-  const roundedTimestamp = new Date(
-    Math.floor(this.timestamp.getTime() / 1000) * 1000,
-  );
-  return `${this.machineName}_${roundedTimestamp.toISOString()}`;
+  return `${this.machineName}_${this.timestamp.toISOString()}`;
 };
 
-// Create a static method to check for duplicates
 MachineDataSchema.statics.findDuplicate = async function (
   machineName,
   timestamp,
 ) {
-  // Round timestamp to nearest second for comparison
-  const roundedTimestamp = new Date(
-    Math.floor(timestamp.getTime() / 1000) * 1000,
-  );
-
-  return await this.findOne({
-    machineName: machineName,
-    timestamp: {
-      $gte: new Date(roundedTimestamp.getTime() - 1000), // 1 second before
-      $lte: new Date(roundedTimestamp.getTime() + 1000), // 1 second after
-    },
-  });
+  return await this.findOne({ machineName, timestamp });
 };
 
 // ✅ Prevent duplicates forever
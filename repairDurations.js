@@ -0,0 +1,52 @@
+// repair-durations.js
+// Recomputes MachineData.durationSeconds over a historic range.
+// Usage: node repairDurations.js [--from 2026-01-01] [--to 2026-02-01] [--machine NAME]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { repairDurations } = require("./services/durations");
+const { parseToUTC } = require("./utils/time");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://127.0.0.1:27017/factory_monitor";
+
+function getArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+async function run() {
+  console.log("🚀 Starting duration repair...\n");
+
+  const from = getArg("from") ? parseToUTC(getArg("from")) : new Date(0);
+  const to = getArg("to") ? parseToUTC(getArg("to")) : new Date();
+  const machine = getArg("machine");
+
+  if (!from || !to) {
+    console.error("❌ Invalid --from/--to");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGO_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    console.log("✅ Connected to MongoDB");
+    console.log(
+      `⏱️ Range: ${from.toISOString()} → ${to.toISOString()}${machine ? ` (${machine})` : ""}\n`,
+    );
+
+    const result = await repairDurations({ machine, from, to });
+
+    console.log(`\n📊 Final stats:`);
+    console.log(`   Machines processed: ${result.machines}`);
+    console.log(`   Records updated: ${result.updated}`);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log("\n👋 Disconnected from MongoDB");
+  }
+}
+
+run();
@@ -0,0 +1,100 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const AlertRule = require("../models/AlertRule");
+const { requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🚨 ALERT RULES CRUD (/api/alert-rules)
+   ========================================================= */
+
+const EDITABLE_FIELDS = [
+  "name",
+  "enabled",
+  "machines",
+  "groups",
+  "machinePattern",
+  "condition",
+  "status",
+  "thresholdMinutes",
+  "recipients",
+  "escalation",
+  "notifyOnResolve",
+];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`❌ Alert rule ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} alert rule` });
+}
+
+router.get("/", async (_, res) => {
+  try {
+    const rules = await AlertRule.find({}).sort({ name: 1 }).lean();
+    res.json(rules);
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    res.json(rule);
+  } catch (err) {
+    handleError(res, err, "get");
+  }
+});
+
+router.post("/", requireRole("supervisor"), async (req, res) => {
+  try {
+    const rule = await AlertRule.create(pickFields(req.body || {}));
+    console.log(`🚨 Alert rule created: ${rule.name}`);
+    res.status(201).json(rule);
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:id", requireRole("supervisor"), async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    console.log(`🚨 Alert rule updated: ${rule.name}`);
+    res.json(rule);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+router.delete("/:id", requireRole("supervisor"), async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    console.log(`🚨 Alert rule deleted: ${rule.name}`);
+    res.json({ ok: true, deleted: rule._id });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
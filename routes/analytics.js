@@ -0,0 +1,102 @@
+const express = require("express");
+const {
+  computeOEE,
+  computeReliability,
+  GROUP_BY,
+} = require("../services/analytics");
+const { monitoredFilter } = require("../services/machineRegistry");
+const { parseToUTC, withLocal } = require("../utils/time");
+
+const router = express.Router();
+
+/* =========================================================
+   📈 ANALYTICS ENDPOINTS (/api/analytics)
+   ========================================================= */
+
+// Shared ?machine=&from=&to=&groupBy= parsing (last 24 hours by default)
+async function parseWindow(query, timeZone) {
+  const { machine, from, to, groupBy } = query;
+
+  if (groupBy && !GROUP_BY.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${GROUP_BY}` };
+  }
+
+  const window = {
+    from: from ? parseToUTC(from, timeZone) : new Date(Date.now() - 86400000),
+    to: to ? parseToUTC(to, timeZone) : new Date(),
+    groupBy: groupBy || null,
+    timeZone,
+  };
+  if (!window.from || !window.to || window.from >= window.to) {
+    return { error: "Invalid from/to range" };
+  }
+
+  if (machine) {
+    window.machines = String(machine)
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean);
+  } else {
+    const filter = await monitoredFilter();
+    window.machines = filter.machineName ? filter.machineName.$in : null;
+  }
+
+  return window;
+}
+
+router.get("/oee", async (req, res) => {
+  const window = await parseWindow(req.query, req.timeZone);
+  if (window.error) return res.status(400).json({ error: window.error });
+
+  console.log(
+    `📈 OEE request: machines=${window.machines || "all"}, groupBy=${window.groupBy}`,
+  );
+
+  try {
+    const machines = await computeOEE(window);
+    res.json(
+      withLocal(
+        {
+          from: window.from,
+          to: window.to,
+          timeZone: window.timeZone,
+          groupBy: window.groupBy,
+          machines,
+        },
+        ["from", "to"],
+        window.timeZone,
+      ),
+    );
+  } catch (err) {
+    console.error("❌ OEE error:", err);
+    res.status(500).json({ error: "Failed to compute OEE" });
+  }
+});
+
+router.get("/reliability", async (req, res) => {
+  const window = await parseWindow(req.query, req.timeZone);
+  if (window.error) return res.status(400).json({ error: window.error });
+
+  console.log(`🔧 Reliability request: machines=${window.machines || "all"}`);
+
+  try {
+    const result = await computeReliability(window);
+    res.json(
+      withLocal(
+        {
+          from: window.from,
+          to: window.to,
+          timeZone: window.timeZone,
+          ...result,
+        },
+        ["from", "to"],
+        window.timeZone,
+      ),
+    );
+  } catch (err) {
+    console.error("❌ Reliability error:", err);
+    res.status(500).json({ error: "Failed to compute reliability metrics" });
+  }
+});
+
+module.exports = router;
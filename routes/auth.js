@@ -0,0 +1,36 @@
+const express = require("express");
+const { login, authenticate } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🔐 LOGIN (/api/auth)
+   ========================================================= */
+
+// Body: { username, password } → { token, user }
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: "username and password required" });
+  }
+
+  try {
+    const result = await login(username, password);
+    if (!result) {
+      console.log(`🔐 Failed login for ${username}`);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    console.log(`🔐 ${result.user.username} logged in (${result.user.role})`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Login error:", err);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+router.get("/me", authenticate, (req, res) => {
+  if (!req.user) return res.status(403).json({ error: "Not a user token" });
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Collector = require("../models/Collector");
+const {
+  createCollector,
+  rotateCollectorKey,
+  revokeCollector,
+  invalidateCollectors,
+} = require("../services/collectors");
+const { sequenceGaps } = require("../services/batches");
+
+const router = express.Router();
+
+/* =========================================================
+   📡 COLLECTORS (/api/collectors, admin only)
+   ========================================================= */
+
+// Keys are never editable directly, only rotated
+const EDITABLE_FIELDS = ["name", "description", "machines"];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Collector name already exists" });
+  }
+  console.error(`❌ Collector ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} collector` });
+}
+
+router.get("/", async (_, res) => {
+  try {
+    const collectors = await Collector.find({}).sort({ name: 1 }).lean();
+    res.json(collectors);
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+// Batch sequence numbers never received (possible data loss), last 7 days
+router.get("/:id/gaps", async (req, res) => {
+  try {
+    const collector = await Collector.findById(req.params.id).lean();
+    if (!collector) {
+      return res.status(404).json({ error: "Collector not found" });
+    }
+    const gaps = await sequenceGaps(collector._id);
+    res.json({
+      collector: collector.name,
+      lastSequence: collector.lastSequence,
+      missing: gaps.reduce((sum, g) => sum + g.missing, 0),
+      gaps,
+    });
+  } catch (err) {
+    handleError(res, err, "check gaps for");
+  }
+});
+
+// Body: { name, description, machines } → collector + key (shown once)
+router.post("/", async (req, res) => {
+  try {
+    const { collector, key } = await createCollector(
+      pickFields(req.body || {}),
+    );
+    console.log(`📡 Collector created: ${collector.name}`);
+    res.status(201).json({ ...collector.toObject(), keyHash: undefined, key });
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const collector = await Collector.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!collector) {
+      return res.status(404).json({ error: "Collector not found" });
+    }
+    invalidateCollectors();
+    console.log(`📡 Collector updated: ${collector.name}`);
+    res.json(collector);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+// Body: { graceMinutes } keeps the old key valid that long (default 0)
+router.post("/:id/rotate", async (req, res) => {
+  const graceMinutes = parseInt((req.body || {}).graceMinutes) || 0;
+  if (graceMinutes < 0) {
+    return res.status(400).json({ error: "graceMinutes must be >= 0" });
+  }
+
+  try {
+    const result = await rotateCollectorKey(req.params.id, graceMinutes);
+    if (!result) return res.status(404).json({ error: "Collector not found" });
+    console.log(
+      `📡 Collector key rotated: ${result.collector.name} (grace ${graceMinutes} min)`,
+    );
+    res.json({
+      ...result.collector.toObject(),
+      keyHash: undefined,
+      previousKeyHash: undefined,
+      key: result.key,
+    });
+  } catch (err) {
+    handleError(res, err, "rotate");
+  }
+});
+
+router.post("/:id/revoke", async (req, res) => {
+  try {
+    const collector = await revokeCollector(req.params.id);
+    if (!collector) {
+      return res.status(404).json({ error: "Collector not found" });
+    }
+    console.log(`📡 Collector revoked: ${collector.name}`);
+    res.json(collector);
+  } catch (err) {
+    handleError(res, err, "revoke");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const DowntimeEvent = require("../models/DowntimeEvent");
+const ReasonCode = require("../models/ReasonCode");
+const { paretoReport } = require("../services/downtimeEvents");
+const { parseToUTC, withLocal } = require("../utils/time");
+const { hasRole, requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🛑 DOWNTIME EVENTS (/api/downtime-events)
+   ========================================================= */
+
+function parseRange(query, timeZone) {
+  const from = query.from
+    ? parseToUTC(query.from, timeZone)
+    : new Date(Date.now() - 86400000);
+  const to = query.to ? parseToUTC(query.to, timeZone) : new Date();
+  return from && to && from < to ? { from, to } : null;
+}
+
+function formatEvent(e, timeZone) {
+  return withLocal(
+    {
+      id: e._id.toString(),
+      machine: e.machineName,
+      line: e.line,
+      shift: e.shift,
+      startedAt: e.startedAt,
+      endedAt: e.endedAt,
+      durationSeconds: e.endedAt
+        ? e.durationSeconds
+        : Math.round((Date.now() - e.startedAt.getTime()) / 1000),
+      ongoing: !e.endedAt,
+      reasonCode: e.reasonCode,
+      comment: e.comment,
+      acknowledgedBy: e.acknowledgedBy,
+      acknowledgedAt: e.acknowledgedAt,
+    },
+    ["startedAt", "endedAt", "acknowledgedAt"],
+    timeZone,
+  );
+}
+
+// ?machine=&line=&shift=&from=&to=&unassigned=true&limit=
+router.get("/", async (req, res) => {
+  const { machine, line, shift, unassigned, limit = 200 } = req.query;
+  const range = parseRange(req.query, req.timeZone);
+  if (!range) return res.status(400).json({ error: "Invalid from/to range" });
+
+  const q = { startedAt: { $gte: range.from, $lte: range.to } };
+  if (machine) q.machineName = machine;
+  if (line) q.line = line;
+  if (shift) q.shift = shift;
+  if (unassigned === "true") q.reasonCode = null;
+
+  try {
+    const events = await DowntimeEvent.find(q)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 200, 1000))
+      .lean();
+    res.json(events.map((e) => formatEvent(e, req.timeZone)));
+  } catch (err) {
+    console.error("❌ Downtime events fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch downtime events" });
+  }
+});
+
+// ?from=&to=&groupBy=shift|line&line=&shift=
+router.get("/pareto", async (req, res) => {
+  const { groupBy, line, shift } = req.query;
+  const range = parseRange(req.query, req.timeZone);
+  if (!range) return res.status(400).json({ error: "Invalid from/to range" });
+  if (groupBy && !["shift", "line"].includes(groupBy)) {
+    return res.status(400).json({ error: "groupBy must be shift or line" });
+  }
+
+  try {
+    const groups = await paretoReport({ ...range, groupBy, line, shift });
+    res.json(
+      withLocal(
+        { from: range.from, to: range.to, groupBy: groupBy || null, groups },
+        ["from", "to"],
+        req.timeZone,
+      ),
+    );
+  } catch (err) {
+    console.error("❌ Pareto report error:", err);
+    res.status(500).json({ error: "Failed to build Pareto report" });
+  }
+});
+
+// Assign / change the reason of an event. Body: { reasonCode, comment,
+// acknowledge }. Any user may classify an event; acknowledging it needs a
+// supervisor and is the default for them.
+router.patch("/:id", requireRole("viewer"), async (req, res) => {
+  const supervisor = hasRole(req.user, "supervisor");
+  const { reasonCode, comment, acknowledge = supervisor } = req.body || {};
+  if (acknowledge && !supervisor) {
+    return res.status(403).json({ error: "Requires supervisor role" });
+  }
+
+  try {
+    const update = {};
+    if (reasonCode !== undefined) {
+      if (reasonCode !== null) {
+        const reason = await ReasonCode.findOne({
+          code: String(reasonCode).toUpperCase(),
+          active: true,
+        }).lean();
+        if (!reason) {
+          return res.status(400).json({ error: "Unknown reason code" });
+        }
+        update.reasonCode = reason.code;
+      } else {
+        update.reasonCode = null;
+      }
+    }
+    if (comment !== undefined) update.comment = comment;
+    if (acknowledge) {
+      update.acknowledgedBy = req.user.username;
+      update.acknowledgedAt = new Date();
+    }
+
+    const event = await DowntimeEvent.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true },
+    ).lean();
+    if (!event) {
+      return res.status(404).json({ error: "Downtime event not found" });
+    }
+
+    console.log(
+      `🛑 Downtime event ${event._id} on ${event.machineName} → ${event.reasonCode}`,
+    );
+    res.json(formatEvent(event, req.timeZone));
+  } catch (err) {
+    if (err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("❌ Downtime event update error:", err);
+    res.status(500).json({ error: "Failed to update downtime event" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Machine = require("../models/Machine");
+const MachineData = require("../models/machineData");
+const LiveStatus = require("../models/LiveStatus");
+const RejectedItem = require("../models/RejectedItem");
+const { invalidateRegistry } = require("../services/machineRegistry");
+const { requireRole } = require("../services/auth");
+const { withLocal } = require("../utils/time");
+
+const router = express.Router();
+
+/* =========================================================
+   🏭 MACHINE REGISTRY CRUD (/api/machines)
+   ========================================================= */
+
+const EDITABLE_FIELDS = [
+  "name",
+  "displayName",
+  "line",
+  "section",
+  "department",
+  "type",
+  "site",
+  "ratedSpeed",
+  "active",
+];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  if (update.active === false) update.decommissionedAt = new Date();
+  if (update.active === true) update.decommissionedAt = null;
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Machine name already registered" });
+  }
+  console.error(`❌ Machine ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} machine` });
+}
+
+router.get("/", async (req, res) => {
+  const { line, section, department, site, active } = req.query;
+
+  const q = {};
+  if (line) q.line = line;
+  if (site) q.site = site;
+  if (section) q.section = section;
+  if (department) q.department = department;
+  if (active !== undefined) q.active = active === "true";
+
+  try {
+    const machines = await Machine.find(q).sort({ line: 1, name: 1 }).lean();
+    res.json(machines);
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+// Items quarantined for unknown / decommissioned machines, grouped by name
+router.get("/quarantine", async (req, res) => {
+  try {
+    const rows = await RejectedItem.aggregate([
+      {
+        $match: {
+          reason: { $in: ["UNKNOWN_MACHINE", "DECOMMISSIONED_MACHINE"] },
+        },
+      },
+      {
+        $group: {
+          _id: { machineName: "$machineName", reason: "$reason" },
+          count: { $sum: 1 },
+          firstSeen: { $min: "$receivedAt" },
+          lastSeen: { $max: "$receivedAt" },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    res.json(
+      rows.map((r) =>
+        withLocal(
+          {
+            machineName: r._id.machineName,
+            reason: r._id.reason,
+            count: r.count,
+            firstSeen: r.firstSeen,
+            lastSeen: r.lastSeen,
+          },
+          ["firstSeen", "lastSeen"],
+          req.timeZone,
+        ),
+      ),
+    );
+  } catch (err) {
+    handleError(res, err, "list quarantined");
+  }
+});
+
+// One-off: register every machine name already present in the data
+router.post("/import-existing", requireRole("admin"), async (_, res) => {
+  try {
+    const names = new Set([
+      ...(await MachineData.distinct("machineName")),
+      ...(await LiveStatus.distinct("machineName")),
+    ]);
+
+    const result = names.size
+      ? await Machine.bulkWrite(
+          [...names].map((name) => ({
+            updateOne: {
+              filter: { name },
+              update: { $setOnInsert: { name } },
+              upsert: true,
+            },
+          })),
+        )
+      : { upsertedCount: 0 };
+    invalidateRegistry();
+
+    console.log(`🏭 Imported ${result.upsertedCount} existing machines`);
+    res.json({ ok: true, found: names.size, imported: result.upsertedCount });
+  } catch (err) {
+    handleError(res, err, "import");
+  }
+});
+
+router.get("/:name", async (req, res) => {
+  try {
+    const machine = await Machine.findOne({ name: req.params.name }).lean();
+    if (!machine) return res.status(404).json({ error: "Machine not found" });
+    res.json(machine);
+  } catch (err) {
+    handleError(res, err, "get");
+  }
+});
+
+router.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const machine = await Machine.create(pickFields(req.body || {}));
+    invalidateRegistry();
+    console.log(`🏭 Machine registered: ${machine.name}`);
+    res.status(201).json(machine);
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+// The name is the key of the machine's data (MachineData, LiveStatus,
+// alerts, transitions...), so it cannot be changed here
+router.put("/:name", requireRole("admin"), async (req, res) => {
+  const { name } = req.body || {};
+  if (name !== undefined && name !== req.params.name) {
+    return res
+      .status(400)
+      .json({ error: "Machine names cannot be changed, register a new one" });
+  }
+
+  try {
+    const machine = await Machine.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!machine) return res.status(404).json({ error: "Machine not found" });
+    invalidateRegistry();
+    console.log(`🏭 Machine updated: ${machine.name}`);
+    res.json(machine);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+router.post("/:name/decommission", requireRole("admin"), async (req, res) => {
+  try {
+    const machine = await Machine.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { active: false, decommissionedAt: new Date() } },
+      { new: true },
+    );
+    if (!machine) return res.status(404).json({ error: "Machine not found" });
+    invalidateRegistry();
+    console.log(`🏭 Machine decommissioned: ${machine.name}`);
+    res.json(machine);
+  } catch (err) {
+    handleError(res, err, "decommission");
+  }
+});
+
+router.post("/:name/activate", requireRole("admin"), async (req, res) => {
+  try {
+    const machine = await Machine.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { active: true, decommissionedAt: null } },
+      { new: true },
+    );
+    if (!machine) return res.status(404).json({ error: "Machine not found" });
+    invalidateRegistry();
+    console.log(`🏭 Machine re-activated: ${machine.name}`);
+    res.json(machine);
+  } catch (err) {
+    handleError(res, err, "activate");
+  }
+});
+
+router.delete("/:name", requireRole("admin"), async (req, res) => {
+  try {
+    const machine = await Machine.findOneAndDelete({ name: req.params.name });
+    if (!machine) return res.status(404).json({ error: "Machine not found" });
+    invalidateRegistry();
+    console.log(`🏭 Machine removed from registry: ${machine.name}`);
+    res.json({ ok: true, deleted: machine.name });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require("express");
+const { repairDurations } = require("../services/durations");
+const { rebuildDowntimeEvents } = require("../services/downtimeEvents");
+const { rebuildStateTransitions } = require("../services/stateTransitions");
+const { parseToUTC } = require("../utils/time");
+const { requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🔧 MAINTENANCE JOBS (/api/maintenance)
+   ========================================================= */
+
+// Body: { from, to, machine } — from defaults to the beginning of data
+function parseJobWindow(body, timeZone) {
+  const { from, to, machine } = body || {};
+  const window = {
+    machine,
+    from: from ? parseToUTC(from, timeZone) : new Date(0),
+    to: to ? parseToUTC(to, timeZone) : new Date(),
+  };
+  return window.from && window.to && window.from <= window.to ? window : null;
+}
+
+router.post("/recompute-durations", requireRole("admin"), async (req, res) => {
+  const { from, to, machine } = req.body || {};
+  const window = parseJobWindow(req.body, req.timeZone);
+  if (!window) return res.status(400).json({ error: "Invalid from/to range" });
+
+  console.log(
+    `⏱️ Duration repair requested: machine=${machine}, from=${from}, to=${to}`,
+  );
+
+  try {
+    const result = await repairDurations(window);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("❌ Duration repair error:", err);
+    res.status(500).json({ error: "Failed to recompute durations" });
+  }
+});
+
+router.post(
+  "/rebuild-downtime-events",
+  requireRole("admin"),
+  async (req, res) => {
+    const window = parseJobWindow(req.body, req.timeZone);
+    if (!window)
+      return res.status(400).json({ error: "Invalid from/to range" });
+
+    console.log(
+      `🛑 Downtime event rebuild requested: machine=${window.machine}`,
+    );
+
+    try {
+      const result = await rebuildDowntimeEvents(window);
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("❌ Downtime event rebuild error:", err);
+      res.status(500).json({ error: "Failed to rebuild downtime events" });
+    }
+  },
+);
+
+router.post(
+  "/rebuild-state-transitions",
+  requireRole("admin"),
+  async (req, res) => {
+    const window = parseJobWindow(req.body, req.timeZone);
+    if (!window)
+      return res.status(400).json({ error: "Invalid from/to range" });
+
+    console.log(
+      `🔀 State transition rebuild requested: machine=${window.machine}`,
+    );
+
+    try {
+      const result = await rebuildStateTransitions(window);
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("❌ State transition rebuild error:", err);
+      res.status(500).json({ error: "Failed to rebuild state transitions" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ReasonCode = require("../models/ReasonCode");
+const { requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🛑 DOWNTIME REASON CODE CATALOGUE (/api/reason-codes)
+   ========================================================= */
+
+const EDITABLE_FIELDS = ["code", "label", "category", "active"];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Reason code already exists" });
+  }
+  console.error(`❌ Reason code ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} reason code` });
+}
+
+router.get("/", async (req, res) => {
+  const q = {};
+  if (req.query.active !== undefined) q.active = req.query.active === "true";
+
+  try {
+    res.json(await ReasonCode.find(q).sort({ category: 1, code: 1 }).lean());
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+router.post("/", requireRole("supervisor"), async (req, res) => {
+  try {
+    const reason = await ReasonCode.create(pickFields(req.body || {}));
+    console.log(`🛑 Reason code created: ${reason.code}`);
+    res.status(201).json(reason);
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:code", requireRole("supervisor"), async (req, res) => {
+  try {
+    const reason = await ReasonCode.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!reason)
+      return res.status(404).json({ error: "Reason code not found" });
+    console.log(`🛑 Reason code updated: ${reason.code}`);
+    res.json(reason);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+// Deactivates instead of deleting, so events keep a valid reason code
+router.delete("/:code", requireRole("supervisor"), async (req, res) => {
+  try {
+    const reason = await ReasonCode.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      { $set: { active: false } },
+      { new: true },
+    );
+    if (!reason)
+      return res.status(404).json({ error: "Reason code not found" });
+    console.log(`🛑 Reason code deactivated: ${reason.code}`);
+    res.json({ ok: true, deactivated: reason.code });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
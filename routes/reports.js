@@ -0,0 +1,76 @@
+const express = require("express");
+const {
+  FORMATS,
+  shiftReport,
+  dailyReport,
+  reportToCsv,
+  reportToHtml,
+} = require("../services/reports");
+
+const router = express.Router();
+
+/* =========================================================
+   📋 PRODUCTION REPORTS (/api/reports)
+   ========================================================= */
+
+function sendReport(req, res, report) {
+  const format = req.query.format || "json";
+  const filename = `${report.title.replace(/[^\w-]+/g, "-")}`;
+
+  if (format === "csv") {
+    res.header("Content-Type", "text/csv");
+    res.attachment(`${filename}.csv`);
+    return res.send(reportToCsv(report));
+  }
+  if (format === "html") {
+    res.header("Content-Type", "text/html; charset=utf-8");
+    return res.send(reportToHtml(report));
+  }
+  res.json(report);
+}
+
+function checkFormat(req, res, next) {
+  if (req.query.format && !FORMATS.includes(req.query.format)) {
+    return res.status(400).json({ error: `format must be one of: ${FORMATS}` });
+  }
+  next();
+}
+
+// ?date=YYYY-MM-DD&shift=Morning&line=&format=json|csv|html
+// (last completed shift when date/shift are omitted)
+router.get("/shift", checkFormat, async (req, res) => {
+  const { date, shift, line } = req.query;
+  console.log(`📋 Shift report request: date=${date}, shift=${shift}`);
+
+  try {
+    const report = await shiftReport({
+      date,
+      shift,
+      line,
+      // Shift reports default to their calendar's zone
+      timeZone: req.query.tz || req.query.site ? req.timeZone : null,
+    });
+    if (report.error) return res.status(400).json({ error: report.error });
+    sendReport(req, res, report);
+  } catch (err) {
+    console.error("❌ Shift report error:", err);
+    res.status(500).json({ error: "Failed to build shift report" });
+  }
+});
+
+// ?date=YYYY-MM-DD (yesterday by default)&line=&format=json|csv|html
+router.get("/daily", checkFormat, async (req, res) => {
+  const { date, line } = req.query;
+  console.log(`📋 Daily report request: date=${date}, line=${line}`);
+
+  try {
+    const report = await dailyReport({ date, line, timeZone: req.timeZone });
+    if (report.error) return res.status(400).json({ error: report.error });
+    sendReport(req, res, report);
+  } catch (err) {
+    console.error("❌ Daily report error:", err);
+    res.status(500).json({ error: "Failed to build daily report" });
+  }
+});
+
+module.exports = router;
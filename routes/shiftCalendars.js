@@ -0,0 +1,177 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ShiftCalendar = require("../models/ShiftCalendar");
+const {
+  invalidateCalendars,
+  getShiftResolver,
+  retagShifts,
+} = require("../services/shiftCalendar");
+const { parseToUTC, withLocal } = require("../utils/time");
+const { requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🗓️ SHIFT CALENDARS (/api/shift-calendars)
+   ========================================================= */
+
+const EDITABLE_FIELDS = [
+  "name",
+  "isDefault",
+  "lines",
+  "timezone",
+  "shifts",
+  "weekdayOverrides",
+  "periods",
+  "holidays",
+];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Calendar name already exists" });
+  }
+  console.error(`❌ Shift calendar ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} shift calendar` });
+}
+
+// Only one calendar can be the default
+async function clearOtherDefaults(calendar) {
+  if (!calendar.isDefault) return;
+  await ShiftCalendar.updateMany(
+    { _id: { $ne: calendar._id }, isDefault: true },
+    { $set: { isDefault: false } },
+  );
+}
+
+router.get("/", async (_, res) => {
+  try {
+    res.json(await ShiftCalendar.find({}).sort({ name: 1 }).lean());
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+// Preview: which shift applies at ?at= for ?line=
+router.get("/resolve", async (req, res) => {
+  const at = req.query.at ? parseToUTC(req.query.at, req.timeZone) : new Date();
+  if (!at) return res.status(400).json({ error: "Invalid at" });
+
+  try {
+    const resolver = await getShiftResolver();
+    const w = resolver.windowAt(at, req.query.line);
+    res.json(
+      withLocal(
+        {
+          at,
+          line: req.query.line || null,
+          shift: w.shift,
+          date: w.date,
+          start: w.start,
+          end: w.end,
+        },
+        ["at", "start", "end"],
+        req.timeZone,
+      ),
+    );
+  } catch (err) {
+    handleError(res, err, "resolve");
+  }
+});
+
+// Re-tag historic records after a calendar change. Body: { from, to, line }
+router.post("/retag", requireRole("admin"), async (req, res) => {
+  const { from, to, line } = req.body || {};
+  const window = {
+    from: from ? parseToUTC(from, req.timeZone) : null,
+    to: to ? parseToUTC(to, req.timeZone) : new Date(),
+    line,
+  };
+  if (!window.from || !window.to || window.from > window.to) {
+    return res.status(400).json({ error: "from is required, to after from" });
+  }
+
+  console.log(
+    `🗓️ Shift re-tag requested: line=${line}, from=${from}, to=${to}`,
+  );
+
+  try {
+    invalidateCalendars();
+    const result = await retagShifts(window);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    handleError(res, err, "re-tag");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const calendar = await ShiftCalendar.findById(req.params.id).lean();
+    if (!calendar) {
+      return res.status(404).json({ error: "Shift calendar not found" });
+    }
+    res.json(calendar);
+  } catch (err) {
+    handleError(res, err, "get");
+  }
+});
+
+router.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const calendar = await ShiftCalendar.create(pickFields(req.body || {}));
+    await clearOtherDefaults(calendar);
+    invalidateCalendars();
+    console.log(`🗓️ Shift calendar created: ${calendar.name}`);
+    res.status(201).json(calendar);
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const calendar = await ShiftCalendar.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!calendar) {
+      return res.status(404).json({ error: "Shift calendar not found" });
+    }
+    await clearOtherDefaults(calendar);
+    invalidateCalendars();
+    console.log(`🗓️ Shift calendar updated: ${calendar.name}`);
+    res.json(calendar);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const calendar = await ShiftCalendar.findByIdAndDelete(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: "Shift calendar not found" });
+    }
+    invalidateCalendars();
+    console.log(`🗓️ Shift calendar deleted: ${calendar.name}`);
+    res.json({ ok: true, deleted: calendar._id });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Site = require("../models/Site");
+const { invalidateSites } = require("../services/sites");
+const { PLANT_TIMEZONE } = require("../utils/time");
+const { requireRole } = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   🌍 SITES (/api/sites)
+   ========================================================= */
+
+const EDITABLE_FIELDS = ["code", "name", "timezone"];
+
+function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  return update;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Site code already exists" });
+  }
+  console.error(`❌ Site ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} site` });
+}
+
+router.get("/", async (_, res) => {
+  try {
+    const sites = await Site.find({}).sort({ code: 1 }).lean();
+    res.json({ defaultTimezone: PLANT_TIMEZONE, sites });
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+router.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const site = await Site.create(pickFields(req.body || {}));
+    invalidateSites();
+    console.log(`🌍 Site created: ${site.code} (${site.timezone})`);
+    res.status(201).json(site);
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:code", requireRole("admin"), async (req, res) => {
+  try {
+    const site = await Site.findOneAndUpdate(
+      { code: req.params.code },
+      { $set: pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!site) return res.status(404).json({ error: "Site not found" });
+    invalidateSites();
+    console.log(`🌍 Site updated: ${site.code} (${site.timezone})`);
+    res.json(site);
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+router.delete("/:code", requireRole("admin"), async (req, res) => {
+  try {
+    const site = await Site.findOneAndDelete({ code: req.params.code });
+    if (!site) return res.status(404).json({ error: "Site not found" });
+    invalidateSites();
+    console.log(`🌍 Site deleted: ${site.code}`);
+    res.json({ ok: true, deleted: site.code });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
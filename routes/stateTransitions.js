@@ -0,0 +1,89 @@
+const express = require("express");
+const StateTransition = require("../models/StateTransition");
+const { parseToUTC, withLocal } = require("../utils/time");
+
+const router = express.Router();
+
+/* =========================================================
+   🔀 STATE TRANSITIONS (/api/state-transitions)
+   ========================================================= */
+
+function parseRange(query, timeZone) {
+  const from = query.from
+    ? parseToUTC(query.from, timeZone)
+    : new Date(Date.now() - 86400000);
+  const to = query.to ? parseToUTC(query.to, timeZone) : new Date();
+  return from && to && from < to ? { from, to } : null;
+}
+
+function formatTransition(t, timeZone) {
+  return withLocal(
+    {
+      id: t._id.toString(),
+      machine: t.machineName,
+      line: t.line,
+      fromStatus: t.fromStatus,
+      toStatus: t.toStatus,
+      at: t.at,
+      durationSeconds: t.durationSeconds,
+      source: t.source,
+    },
+    ["at"],
+    timeZone,
+  );
+}
+
+// ?machine=&line=&status=&from=&to=&limit= (newest first; status = toStatus)
+router.get("/", async (req, res) => {
+  const { machine, line, status, limit = 200 } = req.query;
+  const range = parseRange(req.query, req.timeZone);
+  if (!range) return res.status(400).json({ error: "Invalid from/to range" });
+
+  const q = { at: { $gte: range.from, $lte: range.to } };
+  if (machine) q.machineName = machine;
+  if (line) q.line = line;
+  if (status) q.toStatus = String(status).toUpperCase();
+
+  try {
+    const transitions = await StateTransition.find(q)
+      .sort({ at: -1 })
+      .limit(Math.min(parseInt(limit) || 200, 1000))
+      .lean();
+    res.json(transitions.map((t) => formatTransition(t, req.timeZone)));
+  } catch (err) {
+    console.error("❌ State transitions fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch state transitions" });
+  }
+});
+
+// Last change of every machine (?machine=&line=), with the time spent in
+// the current state so far
+router.get("/latest", async (req, res) => {
+  const { machine, line } = req.query;
+  const match = {};
+  if (machine) match.machineName = machine;
+  if (line) match.line = line;
+
+  try {
+    const rows = await StateTransition.aggregate([
+      { $match: match },
+      // Same order as the unique { machineName, at } index
+      { $sort: { machineName: 1, at: 1 } },
+      { $group: { _id: "$machineName", last: { $last: "$$ROOT" } } },
+      { $replaceRoot: { newRoot: "$last" } },
+      { $sort: { machineName: 1 } },
+    ]);
+    const now = Date.now();
+    res.json(
+      rows.map((t) => ({
+        ...formatTransition(t, req.timeZone),
+        inStateSeconds: Math.round((now - t.at.getTime()) / 1000),
+      })),
+    );
+  } catch (err) {
+    console.error("❌ Latest state transitions error:", err);
+    res.status(500).json({ error: "Failed to fetch latest transitions" });
+  }
+});
+
+module.exports = router;
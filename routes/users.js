@@ -0,0 +1,122 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const {
+  hashPassword,
+  invalidateUsers,
+  publicUser,
+} = require("../services/auth");
+
+const router = express.Router();
+
+/* =========================================================
+   👤 USER ACCOUNTS (/api/users, admin only)
+   ========================================================= */
+
+const EDITABLE_FIELDS = ["username", "displayName", "role", "active"];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function pickFields(body) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) update[f] = body[f];
+  });
+  if (body.password !== undefined) {
+    update.passwordHash = await hashPassword(String(body.password));
+  }
+  return update;
+}
+
+function passwordError(password, required) {
+  if (password === undefined) return required ? "password required" : null;
+  return String(password).length < MIN_PASSWORD_LENGTH
+    ? `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    : null;
+}
+
+function handleError(res, err, action) {
+  if (
+    err instanceof mongoose.Error.ValidationError ||
+    err instanceof mongoose.Error.CastError
+  ) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Username already taken" });
+  }
+  console.error(`❌ User ${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action} user` });
+}
+
+function formatUser(user) {
+  return {
+    ...publicUser(user),
+    active: user.active,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt,
+  };
+}
+
+router.get("/", async (_, res) => {
+  try {
+    const users = await User.find({}).sort({ username: 1 }).lean();
+    res.json(users.map(formatUser));
+  } catch (err) {
+    handleError(res, err, "list");
+  }
+});
+
+// Body: { username, password, role, displayName }
+router.post("/", async (req, res) => {
+  const error = passwordError((req.body || {}).password, true);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await User.create(await pickFields(req.body));
+    invalidateUsers();
+    console.log(`👤 User created: ${user.username} (${user.role})`);
+    res.status(201).json(formatUser(user));
+  } catch (err) {
+    handleError(res, err, "create");
+  }
+});
+
+router.put("/:username", async (req, res) => {
+  const error = passwordError((req.body || {}).password, false);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { username: req.params.username.toLowerCase() },
+      { $set: await pickFields(req.body || {}) },
+      { new: true, runValidators: true },
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+    invalidateUsers();
+    console.log(`👤 User updated: ${user.username} (${user.role})`);
+    res.json(formatUser(user));
+  } catch (err) {
+    handleError(res, err, "update");
+  }
+});
+
+router.delete("/:username", async (req, res) => {
+  if (req.params.username.toLowerCase() === req.user.username) {
+    return res.status(400).json({ error: "Cannot delete your own account" });
+  }
+
+  try {
+    const user = await User.findOneAndDelete({
+      username: req.params.username.toLowerCase(),
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    invalidateUsers();
+    console.log(`👤 User deleted: ${user.username}`);
+    res.json({ ok: true, deleted: user.username });
+  } catch (err) {
+    handleError(res, err, "delete");
+  }
+});
+
+module.exports = router;
@@ -5,65 +5,126 @@ const cors = require("cors");
 const http = require("http");
 const { WebSocketServer } = require("ws");
 const bodyParser = require("body-parser");
-const { Parser } = require("json2csv");
 const cron = require("node-cron");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const MachineData = require("./models/machineData");
 const LiveStatus = require("./models/LiveStatus");
+const Alert = require("./models/Alert");
+const RejectedItem = require("./models/RejectedItem");
+const { PLANT_TIMEZONE, parseToUTC, withLocal } = require("./utils/time");
+const { startAlertEngine } = require("./services/alertEngine");
+const { closeDurations } = require("./services/durations");
+const {
+  seedReasonCodes,
+  syncDowntimeEvents,
+} = require("./services/downtimeEvents");
+const { recordTransitions } = require("./services/stateTransitions");
+const {
+  EXPORT_FORMATS,
+  parseColumns,
+  exportQuery,
+  streamExport,
+  streamXlsx,
+} = require("./services/export");
+const { emailShiftReports, emailDailyReport } = require("./services/reports");
+const {
+  getRegistry,
+  monitoredFilter,
+  screenItems,
+  quarantine,
+} = require("./services/machineRegistry");
+const { writeMachineData, getIngestStats } = require("./services/ingest");
+const {
+  batchScope,
+  findBatchResult,
+  claimBatch,
+  trackSequence,
+  recordBatch,
+} = require("./services/batches");
+const {
+  startIngestQueue,
+  submit: submitBatch,
+  hasRoom,
+  retryAfterSeconds,
+  getQueueStats,
+  RETRY_BASE_MS,
+  RETRY_MAX_MS,
+} = require("./services/ingestQueue");
+const { startMqttGateway, getMqttStats } = require("./services/mqttGateway");
+const {
+  startModbusPoller,
+  getModbusStats,
+} = require("./services/modbusPoller");
+const {
+  newSubscription,
+  describeSubscription,
+  applySubscriptionMessage,
+  matchesMachine,
+  filterPayload,
+} = require("./services/subscriptions");
+const {
+  STREAM_ID,
+  recordEvent,
+  currentSeq,
+  eventsSince,
+  getEventLogStats,
+} = require("./services/eventLog");
+const {
+  MACHINE_DATA_SCHEMA,
+  LIVE_STATUS_SCHEMA,
+  validateItems,
+} = require("./services/validation");
+const {
+  ensureAdminUser,
+  authenticate,
+  requireRole,
+  requireCollector,
+  authenticateUpgrade,
+} = require("./services/auth");
+const {
+  getMachineTimeZoneResolver,
+  timeZoneMiddleware,
+} = require("./services/sites");
+const alertRulesRouter = require("./routes/alertRules");
+const machinesRouter = require("./routes/machines");
+const analyticsRouter = require("./routes/analytics");
+const maintenanceRouter = require("./routes/maintenance");
+const reasonCodesRouter = require("./routes/reasonCodes");
+const downtimeEventsRouter = require("./routes/downtimeEvents");
+const stateTransitionsRouter = require("./routes/stateTransitions");
+const shiftCalendarsRouter = require("./routes/shiftCalendars");
+const sitesRouter = require("./routes/sites");
+const reportsRouter = require("./routes/reports");
+const authRouter = require("./routes/auth");
+const usersRouter = require("./routes/users");
+const collectorsRouter = require("./routes/collectors");
 
 const app = express();
-const ALERT_THRESHOLD_MINUTES = 10;
-
-/* =========================================================
-   🕒 TIME HELPERS (UPDATED FOR PAKISTAN TIME)
-   ========================================================= */
-
-function parseToUTC(value) {
-  if (!value) return null;
-
-  if (value instanceof Date) return value;
-
-  if (typeof value === "string") {
-    const hasTimezone = /Z$|[+-]\d{2}:\d{2}$/.test(value);
-
-    if (!hasTimezone) {
-      const dt = new Date(value);
-      const pktOffset = 5 * 60 * 60 * 1000;
-      return new Date(dt.getTime() - pktOffset);
-    }
-
-    const dt = new Date(value);
-    return isNaN(dt.getTime()) ? null : dt;
-  }
-
-  const d = new Date(value);
-  return isNaN(d.getTime()) ? null : d;
-}
-
-// Convert UTC Date → Pakistan Time for frontend (UTC+5)
-function utcToPKT(date) {
-  if (!date) return null;
-
-  // Ensure it's a valid Date object
-  const d = new Date(date);
-  if (isNaN(d.getTime())) return null;
-
-  // Convert UTC → PKT (UTC+5)
-  const PKT_OFFSET = 5 * 60 * 60 * 1000; // +5 hours in milliseconds
-  return new Date(d.getTime() + PKT_OFFSET).toISOString();
-}
+const ALERT_THRESHOLD_MINUTES =
+  parseInt(process.env.ALERT_THRESHOLD_MINUTES) || 10;
 
 /* =========================================================
    Middleware
    ========================================================= */
-app.use(cors());
+// CORS_ORIGINS=https://dash.example.com,... (any origin when unset; every
+// /api call needs a token or API key regardless)
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(",").map((o) => o.trim())
+      : true,
+  }),
+);
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.urlencoded({ extended: true, limit: "10mb" }));
 
 // Add request logging middleware
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  // ?token= (GET /api/stream) stays out of the logs
+  const url = req.url.replace(/([?&]token=)[^&]*/, "$1***");
+  console.log(`${new Date().toISOString()} ${req.method} ${url}`);
   if (req.method === "POST" && req.body) {
     console.log(
       `📥 Request body length: ${Array.isArray(req.body) ? req.body.length : 1}`,
@@ -72,14 +133,40 @@ app.use((req, res, next) => {
   next();
 });
 
+// 🔐 Login is public; every other /api route needs a user token
+// (Authorization: Bearer) or, for ingestion, a collector X-API-Key
+app.use("/api/auth", authRouter);
+app.use("/api", authenticate);
+
+// req.timeZone for parsing query dates and *Local fields (?tz= / ?site=)
+app.use(timeZoneMiddleware);
+
 /* =========================================================
    MongoDB
    ========================================================= */
 const MONGO_URI =
   process.env.MONGO_URI || "mongodb://127.0.0.1:27017/factory_monitor";
 
-mongoose
-  .connect(MONGO_URI)
+// mongoose does not retry a failed initial connect, so keep trying with
+// the same backoff as the ingestion queue until Mongo is reachable
+async function connectMongo() {
+  let delay = RETRY_BASE_MS;
+  for (;;) {
+    try {
+      await mongoose.connect(MONGO_URI);
+      return;
+    } catch (err) {
+      console.error(
+        `❌ MongoDB Connection Error (retrying in ${delay / 1000}s):`,
+        err.message,
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      delay = Math.min(delay * 2, RETRY_MAX_MS);
+    }
+  }
+}
+
+connectMongo()
   .then(async () => {
     console.log("✅ MongoDB Connected");
 
@@ -101,18 +188,214 @@ mongoose
     } catch (err) {
       console.log("ℹ️ LiveStatus index note:", err.message);
     }
+
+    try {
+      await Alert.syncIndexes();
+      console.log("✅ Alert indexes ready");
+    } catch (err) {
+      console.log("ℹ️ Alert index note:", err.message);
+    }
+
+    try {
+      await seedReasonCodes();
+    } catch (err) {
+      console.log("ℹ️ Reason code seed note:", err.message);
+    }
+
+    try {
+      await ensureAdminUser();
+    } catch (err) {
+      console.log("ℹ️ Admin user seed note:", err.message);
+    }
+
+    startAlertEngine({ thresholdMinutes: ALERT_THRESHOLD_MINUTES });
   })
-  .catch((err) => console.error("❌ MongoDB Connection Error:", err));
+  .catch((err) => console.error("❌ MongoDB startup error:", err));
 
 /* =========================================================
    HTTP + WebSocket
    ========================================================= */
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: "/ws/machine-data" });
+// Upgrade needs a user token: /ws/machine-data?token=<jwt>
+const wss = new WebSocketServer({
+  server,
+  path: "/ws/machine-data",
+  verifyClient: (info, done) => {
+    authenticateUpgrade(info.req)
+      .then((user) => {
+        if (!user) return done(false, 401, "Unauthorized");
+        info.req.user = user;
+        done(true);
+      })
+      .catch(() => done(false, 500, "Authentication failed"));
+  },
+});
+
+// All sends go through here so bytesSent stays accurate
+function sendRaw(ws, msg) {
+  if (ws.readyState !== ws.OPEN) return false;
+  ws.send(msg);
+  ws.meta.bytesSent += Buffer.byteLength(msg);
+  ws.meta.messagesSent++;
+  return true;
+}
+
+function sendJson(ws, payload) {
+  sendRaw(ws, JSON.stringify(payload));
+}
+
+// Sends a recorded event (or the part the client subscribed to) once
+function sendEvent(ws, payload, msg = JSON.stringify(payload)) {
+  const seq = (Array.isArray(payload) ? payload[0] : payload).seq;
+  if (seq <= ws.lastSentSeq || !sendRaw(ws, msg)) return false;
+  ws.lastSentSeq = seq;
+  return true;
+}
+
+// Machine → line, for line subscriptions (no lines while the registry
+// cannot be loaded)
+async function getLineResolver() {
+  try {
+    const registry = await getRegistry();
+    return (machine) => {
+      const m = registry.get(machine);
+      return m ? m.line : null;
+    };
+  } catch (err) {
+    return () => null;
+  }
+}
+
+// Current LiveStatus of the machines a subscription covers
+async function liveSnapshot(sub) {
+  const [rows, lineOf, tzFor] = await Promise.all([
+    LiveStatus.find(await monitoredFilter()).lean(),
+    getLineResolver(),
+    getMachineTimeZoneResolver(),
+  ]);
+  return rows
+    .filter((r) => matchesMachine(sub, r.machineName, lineOf))
+    .map((r) =>
+      withLocal(
+        { machine: r.machineName, status: r.status, timestamp: r.updatedAt },
+        ["timestamp"],
+        tzFor(r.machineName),
+      ),
+    );
+}
+
+// The snapshot's seq is the last event it may not include yet: resuming
+// from it never misses a change
+async function snapshotPayload(sub, reason = undefined) {
+  const seq = currentSeq();
+  return {
+    type: "snapshot",
+    stream: STREAM_ID,
+    seq,
+    reason,
+    data: await liveSnapshot(sub),
+  };
+}
+
+async function sendSnapshot(ws, reason = undefined) {
+  try {
+    sendJson(ws, await snapshotPayload(ws.subscription, reason));
+  } catch (err) {
+    console.error("❌ WebSocket snapshot failed:", err.message);
+    sendJson(ws, { type: "error", error: "Snapshot unavailable" });
+  }
+}
+
+// { type: "resume", stream, lastSeq, machines?, lines?, events? } after a
+// reconnect: replays the missed events the client is subscribed to, then
+// "resumed"; a fresh "snapshot" (with a reason) when they are gone. Live
+// events wait meanwhile (they are part of the replay) and events already
+// sent on this connection are not sent again.
+async function resumeClient(ws, msg) {
+  if (!Number.isInteger(msg.lastSeq) || msg.lastSeq < 0) {
+    return sendJson(ws, {
+      type: "error",
+      error: "lastSeq must be a non-negative integer",
+    });
+  }
+  if (["machines", "lines", "events"].some((f) => msg[f] !== undefined)) {
+    const error = applySubscriptionMessage(ws.subscription, {
+      ...msg,
+      type: "subscribe",
+    });
+    if (error) return sendJson(ws, { type: "error", error });
+  }
+
+  ws.resuming = true;
+  let lineOf;
+  try {
+    lineOf = await getLineResolver();
+  } finally {
+    ws.resuming = false;
+  }
+  const { events, reason } = eventsSince(msg.lastSeq, msg.stream);
+  if (reason) return sendSnapshot(ws, reason);
+
+  let replayed = 0;
+  events.forEach((payload) => {
+    const filtered = filterPayload(ws.subscription, payload, lineOf);
+    if (filtered && sendEvent(ws, filtered)) replayed++;
+  });
+  sendJson(ws, {
+    type: "resumed",
+    stream: STREAM_ID,
+    from: msg.lastSeq,
+    seq: currentSeq(),
+    replayed,
+  });
+}
+
+// Client → server: { type: "subscribe" | "unsubscribe", machines?, lines?,
+// events? }. Every change is acknowledged with the resulting
+// "subscriptions"; a subscribe is followed by a LiveStatus "snapshot".
+async function handleClientMessage(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch (err) {
+    return sendJson(ws, { type: "error", error: "Message must be JSON" });
+  }
+  if (msg && msg.type === "resume") return resumeClient(ws, msg);
+
+  const error = applySubscriptionMessage(ws.subscription, msg);
+  if (error) return sendJson(ws, { type: "error", error });
+  sendJson(ws, {
+    type: "subscriptions",
+    ...describeSubscription(ws.subscription),
+  });
+
+  if (msg.type === "subscribe") await sendSnapshot(ws);
+}
 
-// WebSocket connection logging
 wss.on("connection", (ws, req) => {
-  console.log(`🔗 New WebSocket connection from ${req.socket.remoteAddress}`);
+  console.log(
+    `🔗 New WebSocket connection from ${req.socket.remoteAddress} (${req.user.username})`,
+  );
+  ws.subscription = newSubscription();
+  // Highest event seq sent, and whether live events wait for a resume
+  ws.lastSentSeq = 0;
+  ws.resuming = false;
+  ws.meta = {
+    id: crypto.randomBytes(6).toString("hex"),
+    user: req.user.username,
+    remoteAddress: req.socket.remoteAddress,
+    userAgent: req.headers["user-agent"] || null,
+    connectedAt: new Date(),
+    bytesSent: 0,
+    messagesSent: 0,
+    lastPongAt: null,
+  };
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+    ws.meta.lastPongAt = new Date();
+  });
+  ws.on("message", (raw) => handleClientMessage(ws, raw));
   ws.on("close", () => {
     console.log(
       `🔗 WebSocket connection closed from ${req.socket.remoteAddress}`,
@@ -120,39 +403,181 @@ wss.on("connection", (ws, req) => {
   });
 });
 
-function broadcast(payload) {
-  const msg = JSON.stringify(payload);
+// Heartbeat: a client that has not answered the previous ping is gone
+// (sleeping tablet, dropped Wi-Fi) and is terminated instead of lingering
+const WS_HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS) || 30000;
+let wsReaped = 0;
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      console.warn(
+        `🔗 Terminating unresponsive WebSocket ${ws.meta.id} from ${ws.meta.remoteAddress} (${ws.meta.user})`,
+      );
+      wsReaped++;
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, WS_HEARTBEAT_MS);
+heartbeat.unref();
+wss.on("close", () => clearInterval(heartbeat));
+
+// Numbers the payload and sends each client the part it subscribed to.
+// Numbering and sending happen in one go, so clients see seq in order.
+async function broadcast(payload) {
+  const lineOf = await getLineResolver();
+  const event = recordEvent(payload);
+
+  const msg = JSON.stringify(event);
   let count = 0;
   wss.clients.forEach((c) => {
-    if (c.readyState === c.OPEN) {
-      c.send(msg);
-      count++;
-    }
+    // A resuming client gets this event with its replay, in order
+    if (c.readyState !== c.OPEN || c.resuming) return;
+    const filtered = filterPayload(c.subscription, event, lineOf);
+    if (!filtered) return;
+    if (sendEvent(c, filtered, filtered === event ? msg : undefined)) count++;
+  });
+  sseClients.forEach((c) => {
+    const filtered = filterPayload(c.subscription, event, lineOf);
+    if (!filtered) return;
+    writeSseEvent(c, filtered);
+    count++;
   });
   if (count > 0) {
-    console.log(`📡 Broadcasted to ${count} WebSocket clients`);
+    console.log(`📡 Broadcasted to ${count} live clients`);
   }
 }
 
-async function filterDuplicates(items) {
-  if (items.length === 0) return items;
+/* =========================================================
+   📺 SERVER-SENT EVENTS (live feed where WebSockets are blocked)
+   =========================================================
+   GET /api/stream?machines=&lines=&events= (comma-separated, same
+   filters as a WebSocket subscribe; ?token= since EventSource cannot set
+   headers). Starts with a "snapshot" event, then the broadcast events
+   with id "<stream>:<seq>" so a reconnect's Last-Event-ID resumes.
+*/
+const SSE_KEEPALIVE_MS = parseInt(process.env.SSE_KEEPALIVE_MS) || 15000;
+const sseClients = new Set();
+
+function writeSseEvent(client, payload) {
+  const first = Array.isArray(payload) ? payload[0] : payload;
+  client.res.write(
+    `id: ${STREAM_ID}:${first.seq}\nevent: ${first.type}\ndata: ${JSON.stringify(payload)}\n\n`,
+  );
+}
+
+// "<stream>:<seq>" → { stream, seq }, or null when malformed
+function parseEventId(value) {
+  const match = /^([0-9a-f]+):(\d+)$/.exec(String(value || ""));
+  return match ? { stream: match[1], seq: parseInt(match[2]) } : null;
+}
+
+app.get("/api/stream", async (req, res) => {
+  const sub = newSubscription();
+  const list = (value) =>
+    value === undefined
+      ? undefined
+      : String(value)
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean);
+  const error = applySubscriptionMessage(sub, {
+    type: "subscribe",
+    machines: list(req.query.machines),
+    lines: list(req.query.lines),
+    events: list(req.query.events),
+  });
+  if (error) return res.status(400).json({ error });
+
+  const lastEventId = parseEventId(
+    req.headers["last-event-id"] || req.query.lastEventId,
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+  });
+  res.write("retry: 3000\n\n");
+
+  const client = { res, subscription: sub, user: req.user.username };
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    SSE_KEEPALIVE_MS,
+  );
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+    clearInterval(keepAlive);
+    sseClients.delete(client);
+    console.log(`📺 SSE stream closed (${client.user})`);
+  });
+  // A client gone during the awaits below must not be added after its
+  // close handler already ran
+  const join = () => {
+    if (!closed) sseClients.add(client);
+  };
+  console.log(
+    `📺 SSE stream opened by ${client.user}${lastEventId ? ` resuming after #${lastEventId.seq}` : ""}`,
+  );
+
+  // Resume: missed events are written and the client joins in one go
+  let reason;
+  if (lastEventId) {
+    const lineOf = await getLineResolver();
+    const missed = eventsSince(lastEventId.seq, lastEventId.stream);
+    if (!missed.reason) {
+      missed.events.forEach((payload) => {
+        const filtered = filterPayload(sub, payload, lineOf);
+        if (filtered) writeSseEvent(client, filtered);
+      });
+      join();
+      return;
+    }
+    reason = missed.reason;
+  }
+
+  join();
+  try {
+    const snapshot = await snapshotPayload(sub, reason);
+    res.write(
+      `id: ${STREAM_ID}:${snapshot.seq}\nevent: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`,
+    );
+  } catch (err) {
+    console.error("❌ SSE snapshot failed:", err.message);
+    res.write(
+      `event: error\ndata: ${JSON.stringify({ type: "error", error: "Snapshot unavailable" })}\n\n`,
+    );
+  }
+});
+
+// → { unique, duplicates } (items repeated within the same batch)
+async function filterDuplicates(items, tzFor) {
+  if (items.length === 0) return { unique: items, duplicates: [] };
 
   console.log(`🔍 Checking ${items.length} items for duplicates...`);
   const uniqueItems = [];
+  const duplicates = [];
   const seen = new Map(); // Track machine + timestamp combinations
 
   for (const item of items) {
-    const tsUTC = parseToUTC(item.timestamp);
-    if (!tsUTC || !item.machine) continue;
+    const tsUTC = parseToUTC(item.timestamp, tzFor(item.machine));
+    if (!tsUTC || !item.machine) {
+      uniqueItems.push(item); // rejected by the writer
+      continue;
+    }
 
-    // Create a unique key: machine + rounded timestamp (to the second)
-    const timeKey = Math.floor(tsUTC.getTime() / 1000);
-    const uniqueKey = `${item.machine}_${timeKey}_${item.status || "UNKNOWN"}`;
+    // Same key as the unique index: machine + exact timestamp
+    const uniqueKey = `${item.machine}_${tsUTC.getTime()}`;
 
     if (!seen.has(uniqueKey)) {
       seen.set(uniqueKey, true);
       uniqueItems.push(item);
     } else {
+      duplicates.push(item);
       console.log(
         `  🔍 Skipping in-memory duplicate: ${item.machine} at ${tsUTC.toISOString()}`,
       );
@@ -162,161 +587,124 @@ async function filterDuplicates(items) {
   console.log(
     `🔍 Filtered ${items.length - uniqueItems.length} duplicates, ${uniqueItems.length} unique items remain`,
   );
-  return uniqueItems;
+  return { unique: uniqueItems, duplicates };
 }
 
 /* =========================================================
-   🧠 SAVE LOGIC (UPDATED WITH DUPLICATE PREVENTION)
+   🧠 SAVE LOGIC (bulk upserts, see services/ingest.js)
    ========================================================= */
-async function saveBatch(items) {
+// Stored MachineData for docs the writer found already present
+async function storedRecords(docs) {
+  const byMachine = new Map();
+  docs.forEach((d) => {
+    if (!byMachine.has(d.machineName)) byMachine.set(d.machineName, []);
+    byMachine.get(d.machineName).push(d.timestamp);
+  });
+  const records = [];
+  for (const [machineName, timestamps] of byMachine) {
+    records.push(
+      ...(await MachineData.find({
+        machineName,
+        timestamp: { $in: timestamps },
+      })
+        .select("machineName timestamp status shift")
+        .lean()),
+    );
+  }
+  return records;
+}
+
+// collector = req.collector ({ id, name, machines }) or null for admins;
+// retry = a replay of a queued batch an earlier attempt may have partly
+// stored. → { saved, results, throughput } with results[i] = { status,
+// reason? } for items[i]
+async function saveBatch(items, collector = null, { retry = false } = {}) {
+  const results = items.map(() => ({ status: "accepted" }));
+  const positions = new Map(items.map((item, i) => [item, i]));
+  const mark = (item, outcome) => {
+    results[positions.get(item)] = outcome;
+  };
+
+  // Timestamps without an offset are wall-clock time at the machine's site
+  const tzFor = await getMachineTimeZoneResolver();
+
   // Step 1: Filter duplicates in memory
-  const uniqueItems = await filterDuplicates(items);
+  const { unique: uniqueItems, duplicates } = await filterDuplicates(
+    items,
+    tzFor,
+  );
+  duplicates.forEach((item) => mark(item, { status: "duplicate" }));
 
   if (uniqueItems.length === 0) {
     console.log(
-      `📭 All ${items.length} items were duplicates, nothing to save`,
+      `📭 No new items among ${items.length} received, nothing to save`,
     );
-    return [];
+    return { saved: [], results, throughput: null };
   }
 
   console.log(
     `💾 Processing ${uniqueItems.length} unique items (filtered from ${items.length} total)...`,
   );
-  const saved = [];
-  const CHUNK_SIZE = 50;
-
-  // ✅ FIXED: Process uniqueItems, not items
-  for (
-    let startIdx = 0;
-    startIdx < uniqueItems.length;
-    startIdx += CHUNK_SIZE
-  ) {
-    const chunk = uniqueItems.slice(startIdx, startIdx + CHUNK_SIZE);
-    const chunkNumber = Math.floor(startIdx / CHUNK_SIZE) + 1;
-    const totalChunks = Math.ceil(uniqueItems.length / CHUNK_SIZE);
-
-    console.log(
-      `📦 Processing chunk ${chunkNumber}/${totalChunks} (items ${startIdx + 1}-${Math.min(startIdx + CHUNK_SIZE, uniqueItems.length)})`,
-    );
-
-    // Process this chunk
-    for (let i = 0; i < chunk.length; i++) {
-      const item = chunk[i];
-      const {
-        timestamp,
-        machine,
-        status,
-        durationSeconds = 0,
-        shift = null,
-      } = item;
-
-      const tsUTC = parseToUTC(timestamp);
-      if (!tsUTC || !machine) {
-        console.log(`  ⚠️ Skipping: Invalid data`);
-        continue;
-      }
-
-      try {
-        // =========================================================
-        // ✅ PERMANENT DUPLICATE PREVENTION - NEW CODE
-        // =========================================================
-
-        // 1. Round the timestamp to nearest second (removes millisecond differences)
-        const roundedTimestamp = new Date(
-          Math.floor(tsUTC.getTime() / 1000) * 1000,
-        );
 
-        // 2. Use upsert with rounded timestamp
-        const result = await MachineData.findOneAndUpdate(
-          {
-            machineName: machine,
-            timestamp: {
-              $gte: new Date(roundedTimestamp.getTime() - 1000), // 1 second before
-              $lte: new Date(roundedTimestamp.getTime() + 1000), // 1 second after
-            },
-            status: status || "UNKNOWN",
-          },
-          {
-            $setOnInsert: {
-              timestamp: roundedTimestamp, // Use rounded timestamp
-              machineName: machine,
-              status: status || "UNKNOWN",
-              machinePower: status === "RUNNING" || status === "DOWNTIME",
-              downtime: status === "DOWNTIME",
-              shift:
-                shift ||
-                (() => {
-                  const hour = tsUTC.getUTCHours() + 5;
-                  if (hour >= 7 && hour < 15) return "Morning";
-                  if (hour >= 15 && hour < 23) return "Evening";
-                  return "Night";
-                })(),
-              durationSeconds: durationSeconds,
-            },
-            $set: {
-              // Update these fields if document already exists
-              updatedAt: new Date(),
-            },
-          },
-          {
-            upsert: true, // Insert if doesn't exist
-            new: true, // Return the new/updated document
-            runValidators: true,
-            setDefaultsOnInsert: true,
-          },
-        );
-
-        if (result.$isNew || !result._id) {
-          console.log(
-            `  ✅ Inserted new: ${machine} at ${roundedTimestamp.toISOString()} - ${status}`,
-          );
-          saved.push(result);
-        } else {
-          console.log(
-            `  🔄 Updated existing: ${machine} at ${roundedTimestamp.toISOString()}`,
-          );
-        }
-        // =========================================================
-        // END OF NEW CODE
-        // =========================================================
-      } catch (err) {
-        if (err.code === 11000) {
-          console.log(`  ⏭️ MongoDB prevented duplicate for ${machine}`);
-        } else {
-          console.error(`  ❌ Save error for ${machine}:`, err.message);
-        }
-      }
-    }
-
-    // Memory cleanup
-    chunk.length = 0;
-    await new Promise((resolve) => setImmediate(resolve));
-
-    // Log memory usage
-    if (chunkNumber % 5 === 0) {
-      const used = process.memoryUsage();
-      console.log(
-        `📊 Memory after chunk ${chunkNumber}: ${Math.round(used.heapUsed / 1024 / 1024)}MB`,
-      );
+  // Step 2: Bulk upserts against the unique { machineName, timestamp } index
+  const {
+    saved,
+    existing,
+    results: writeResults,
+    throughput,
+  } = await writeMachineData(uniqueItems, { collector });
+  const failed = [];
+  uniqueItems.forEach((item, i) => {
+    mark(item, writeResults[i]);
+    if (writeResults[i].status === "rejected") {
+      failed.push({ item, ...writeResults[i] });
     }
-  }
+  });
 
-  if (saved.length > 0) {
-    console.log(`📡 Broadcasting ${saved.length} saved items`);
-    broadcast(
-      saved.map((d) => ({
-        type: "machine_update",
-        machine: d.machineName,
+  // Records stored by a failed earlier attempt never got their side
+  // effects; these are all recomputed over time ranges, so redoing them
+  // for records that did is harmless
+  const touched =
+    retry && existing.length > 0
+      ? [...saved, ...(await storedRecords(existing))]
+      : saved;
+
+  if (touched.length > 0) {
+    // Close out the previous record's duration for every machine touched
+    await closeDurations(touched);
+    await syncDowntimeEvents(touched);
+    await recordTransitions(
+      touched.map((d) => ({
+        machineName: d.machineName,
         status: d.status,
-        shift: d.shift,
-        timestamp: utcToPKT(d.timestamp),
+        at: d.timestamp,
+        record: d._id,
       })),
+      "machine-data",
+    );
+
+    console.log(`📡 Broadcasting ${touched.length} saved items`);
+    await broadcast(
+      touched.map((d) =>
+        withLocal(
+          {
+            type: "machine_update",
+            machine: d.machineName,
+            status: d.status,
+            shift: d.shift,
+            timestamp: d.timestamp,
+          },
+          ["timestamp"],
+          tzFor(d.machineName),
+        ),
+      ),
     );
   } else {
     console.log(`📭 No new items saved from this batch`);
   }
+  await quarantine(failed, "machine-data", collector);
 
-  return saved;
+  return { saved, results, throughput };
 }
 /* =========================================================
    REST APIs
@@ -326,19 +714,238 @@ app.get("/", (_, res) => {
     message: "✅ Factory Monitoring Backend Running",
     version: "1.0",
     endpoints: {
-      postData: "POST /api/machine-data",
+      login: "POST /api/auth/login {username,password} → Bearer token",
+      me: "GET /api/auth/me",
+      users: "GET|POST /api/users, PUT|DELETE /api/users/:username (admin)",
+      collectors:
+        "GET|POST /api/collectors, PUT /api/collectors/:id, POST /api/collectors/:id/rotate|revoke, GET /api/collectors/:id/gaps (admin)",
+      websocket:
+        'WS /ws/machine-data?token= (send { type: "subscribe", machines, lines, events } or { type: "resume", stream, lastSeq })',
+      stream:
+        "GET /api/stream?machines=&lines=&events=&token= (Server-Sent Events, Last-Event-ID resume)",
+      wsConnections:
+        "GET /api/ws-connections, DELETE /api/ws-connections/:id (admin)",
+      mqtt: "Subscribes to MQTT_TOPICS on MQTT_URL (status in /health)",
+      modbus: "Polls the PLCs in MODBUS_CONFIG_FILE (status in /health)",
+      postData:
+        "POST /api/machine-data[?strict=true] [items] or {batchId,sequence,items} (Idempotency-Key header) → per-item accepted|duplicate|rejected (202 queued while MongoDB is down, 429 when the queue is full, 409 while the same batch is still in progress)",
+      liveStatus: "PUT /api/live-status[?strict=true], GET /api/live-status",
+      rejectedItems: "GET /api/rejected-items?source=&reason=&machine=&limit=",
       getData: "GET /api/machine-data?machine=&from=&to=&limit=",
       dashboard: "GET /api/dashboard/overview",
       stats: "GET /api/dashboard/stats",
-      export: "GET /api/export?machine=&from=&to=",
+      export:
+        "GET /api/export?machine=&from=&to=&format=csv|ndjson|json|xlsx&columns=",
+      alerts: "GET /api/alerts?state=OPEN|RESOLVED&machine=",
+      alertRules:
+        "GET|POST /api/alert-rules, GET|PUT|DELETE /api/alert-rules/:id",
+      machines: "GET|POST /api/machines, GET|PUT|DELETE /api/machines/:name",
+      oee: "GET /api/analytics/oee?machine=&from=&to=&groupBy=shift|day",
+      reliability: "GET /api/analytics/reliability?machine=&from=&to=",
+      repairDurations: "POST /api/maintenance/recompute-durations",
+      downtimeEvents:
+        "GET /api/downtime-events?unassigned=true, PATCH /api/downtime-events/:id",
+      pareto: "GET /api/downtime-events/pareto?from=&to=&groupBy=shift|line",
+      stateTransitions:
+        "GET /api/state-transitions?machine=&line=&status=&from=&to=, GET /api/state-transitions/latest, POST /api/maintenance/rebuild-state-transitions",
+      shiftCalendars:
+        "GET|POST /api/shift-calendars, GET|PUT|DELETE /api/shift-calendars/:id, POST /api/shift-calendars/retag",
+      reasonCodes:
+        "GET|POST /api/reason-codes, PUT|DELETE /api/reason-codes/:code",
+      sites: "GET|POST /api/sites, PUT|DELETE /api/sites/:code",
+      shiftReport:
+        "GET /api/reports/shift?date=&shift=&line=&format=json|csv|html",
+      dailyReport: "GET /api/reports/daily?date=&line=&format=json|csv|html",
+      timeZones: "Any GET accepts ?tz=<IANA zone> or ?site=<code>",
     },
   });
 });
 
-app.post("/api/machine-data", async (req, res) => {
-  const items = Array.isArray(req.body) ? req.body : [req.body];
+/* =========================================================
+   🧾 INGESTION VALIDATION & PER-ITEM RESULTS
+   ========================================================= */
+// Schema check only (no database needed);
+// results[i] = { index, status, reason?, field?, message? }
+function validateBatch(items, schema) {
+  const results = items.map((_, index) => ({ index, status: "accepted" }));
+  const { valid, invalid } = validateItems(items, schema);
+  invalid.forEach(({ index, reason, field, message }) => {
+    results[index] = { index, status: "rejected", reason, field, message };
+  });
+  return { valid, invalid, results };
+}
+
+// Quarantines schema failures, then screens the valid items against the
+// registry and the collector's scope (results are updated in place)
+async function screenBatch({ valid, invalid, results }, source, collector) {
+  if (invalid.length > 0) {
+    console.log(`🧾 ${invalid.length} ${source} items failed validation`);
+    await quarantine(invalid, source, collector);
+  }
+
+  const indexOf = new Map(valid.map((v) => [v.item, v.index]));
+  const { accepted, rejected } = await screenItems(
+    valid.map((v) => v.item),
+    source,
+    collector,
+  );
+  rejected.forEach(({ item, reason }) => {
+    const index = indexOf.get(item);
+    results[index] = { index, status: "rejected", reason };
+  });
+
+  return { accepted, indexOf };
+}
+
+function countResults(results) {
+  const counts = { accepted: 0, duplicates: 0, rejected: 0 };
+  results.forEach((r) => {
+    if (r.status === "duplicate") counts.duplicates++;
+    else counts[r.status]++;
+  });
+  return counts;
+}
+
+// ?strict=true: one bad item rejects the whole batch and nothing is saved
+function isStrict(req) {
+  return req.query.strict === "true";
+}
+
+function markBatchRejected(results) {
+  results.forEach((r, index) => {
+    if (r.status !== "rejected") {
+      results[index] = { index, status: "rejected", reason: "BATCH_REJECTED" };
+    }
+  });
+}
+
+function rejectBatch(res, results) {
+  const failed = results.filter((r) => r.status === "rejected").length;
+  markBatchRejected(results);
+  console.log(`🧾 Strict mode: batch rejected (${failed} invalid items)`);
+  res.status(422).json({
+    ok: false,
+    error: `Batch rejected: ${failed} of ${results.length} items are invalid`,
+    received: results.length,
+    saved: 0,
+    results,
+  });
+}
+
+// Queue handler for machine-data batches (see services/ingestQueue.js):
+// runs inline for the request when Mongo is up, else replayed later.
+// A batch ID seen before returns the first attempt's result unchanged,
+// one still being processed → { inProgress: true }.
+async function ingestMachineData(batch, { retry = false } = {}) {
+  if (batch.batchId) {
+    const claim = await claimBatch({ ...batch, owner: batch.id });
+    if (claim.result) {
+      console.log(`🔁 Batch ${batch.batchId} already ingested, not re-saved`);
+      return { ...claim.result, replayed: true };
+    }
+    if (claim.inProgress) {
+      console.log(`🔁 Batch ${batch.batchId} is still being ingested`);
+      return { inProgress: true, batchId: batch.batchId };
+    }
+  }
+
+  const checked = validateBatch(batch.items, MACHINE_DATA_SCHEMA);
+  const { results } = checked;
+  const { accepted, indexOf } = await screenBatch(
+    checked,
+    "machine-data",
+    batch.collector,
+  );
+
+  let result;
+  if (batch.strict && accepted.length < batch.items.length) {
+    result = { results, saved: 0, batchRejected: true };
+  } else {
+    const {
+      saved,
+      results: saveResults,
+      throughput,
+    } = await saveBatch(accepted, batch.collector, { retry });
+    accepted.forEach((item, i) => {
+      const index = indexOf.get(item);
+      results[index] = { index, ...saveResults[i] };
+    });
+    result = { results, saved: saved.length, throughput };
+  }
+  result.received = batch.items.length;
+  result.batchId = batch.batchId || null;
+  result.sequence = batch.sequence ?? null;
+
+  if (batch.collector && result.sequence !== null) {
+    result.sequenceGap = await trackSequence(batch.collector, batch.sequence);
+  }
+  if (result.batchId || result.sequence !== null) {
+    await recordBatch({ ...batch, itemCount: batch.items.length, result });
+  }
+  return result;
+}
+
+// Body: [items], one item, or { batchId, sequence, items: [...] }.
+// The Idempotency-Key / X-Batch-Sequence headers work with any body.
+function readIngestRequest(req) {
+  const body = req.body;
+  const wrapped = !!body && !Array.isArray(body) && Array.isArray(body.items);
+  const items = Array.isArray(body) ? body : wrapped ? body.items : [body];
+
+  const batchId =
+    req.get("Idempotency-Key") || (wrapped ? body.batchId : null) || null;
+  if (
+    batchId !== null &&
+    (typeof batchId !== "string" || batchId.length > 200)
+  ) {
+    return { error: "batchId must be a string of at most 200 characters" };
+  }
+
+  let sequence = wrapped && body.sequence != null ? body.sequence : null;
+  if (sequence === null && req.get("X-Batch-Sequence")) {
+    sequence = Number(req.get("X-Batch-Sequence"));
+  }
+  if (sequence !== null && !(Number.isInteger(sequence) && sequence >= 0)) {
+    return { error: "sequence must be a non-negative integer" };
+  }
+
+  return { items, batchId, sequence };
+}
 
-  console.log(`📥 Received ${items.length} items from collector`);
+function sendIngestResult(res, result) {
+  if (result.inProgress) {
+    res.set("Retry-After", "5");
+    return res.status(409).json({
+      ok: false,
+      error: `Batch ${result.batchId} is still being ingested, retry later`,
+      batchId: result.batchId,
+    });
+  }
+  if (result.replayed) res.set("Idempotent-Replayed", "true");
+  if (result.batchRejected) return rejectBatch(res, result.results);
+
+  res.status(201).json({
+    ok: true,
+    saved: result.saved,
+    received: result.received,
+    ...countResults(result.results),
+    results: result.results,
+    throughput: result.throughput,
+    batchId: result.batchId,
+    sequence: result.sequence,
+    sequenceGap: result.sequenceGap || null,
+    replayed: !!result.replayed,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+app.post("/api/machine-data", requireCollector, async (req, res) => {
+  const { items, batchId, sequence, error } = readIngestRequest(req);
+  if (error) return res.status(400).json({ error });
+
+  console.log(
+    `📥 Received ${items.length} items from collector${batchId ? ` (batch ${batchId})` : ""}`,
+  );
   if (items.length > 0) {
     console.log(`📦 First item:`, {
       timestamp: items[0].timestamp,
@@ -348,12 +955,56 @@ app.post("/api/machine-data", async (req, res) => {
     });
   }
 
-  const saved = await saveBatch(items);
+  const scope = batchScope(req.collector, req.user);
+  // Retry of a batch that is already stored: answer before queueing it
+  if (batchId && mongoose.connection.readyState === 1) {
+    const original = await findBatchResult(scope, batchId);
+    if (original) {
+      console.log(`🔁 Batch ${batchId} already ingested, returning its result`);
+      return sendIngestResult(res, { ...original, replayed: true });
+    }
+  }
 
-  res.status(201).json({
+  // Backpressure: the write-ahead queue is full while Mongo catches up
+  if (!hasRoom(items.length)) {
+    const retryAfter = retryAfterSeconds();
+    console.warn(`📮 Ingestion queue full, asking to retry in ${retryAfter}s`);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      ok: false,
+      error: "Ingestion queue is full, retry later",
+      retryAfterSeconds: retryAfter,
+    });
+  }
+
+  const strict = isStrict(req);
+  const outcome = await submitBatch({
+    source: "machine-data",
+    scope,
+    collector: req.collector || null,
+    batchId,
+    sequence,
+    strict,
+    items,
+  });
+
+  if (outcome.processed) return sendIngestResult(res, outcome.result);
+
+  // Stored on disk, written once Mongo is back: only schema results so far
+  const { valid, results } = validateBatch(items, MACHINE_DATA_SCHEMA);
+  if (strict && valid.length < items.length) return rejectBatch(res, results);
+  valid.forEach(({ index }) => {
+    results[index] = { index, status: "queued" };
+  });
+  res.status(202).json({
     ok: true,
-    saved: saved.length,
+    queued: valid.length,
+    queueId: outcome.id,
+    batchId,
+    sequence,
     received: items.length,
+    rejected: items.length - valid.length,
+    results,
     timestamp: new Date().toISOString(),
   });
 });
@@ -361,9 +1012,11 @@ app.post("/api/machine-data", async (req, res) => {
 /* =========================================================
    DASHBOARD ENDPOINTS
    ========================================================= */
-app.get("/api/dashboard/overview", async (_, res) => {
+app.get("/api/dashboard/overview", async (req, res) => {
   try {
+    const registry = await getRegistry();
     const rows = await MachineData.aggregate([
+      { $match: await monitoredFilter() },
       { $sort: { timestamp: -1 } },
       {
         $group: {
@@ -375,12 +1028,20 @@ app.get("/api/dashboard/overview", async (_, res) => {
       },
     ]);
 
-    const result = rows.map((r) => ({
-      machineName: r._id,
-      latestStatus: r.status,
-      lastTimestamp: utcToPKT(r.timestamp), // PKT time
-      shift: r.shift,
-    }));
+    const result = rows.map((r) =>
+      withLocal(
+        {
+          machineName: r._id,
+          displayName: (registry.get(r._id) || {}).displayName || r._id,
+          line: (registry.get(r._id) || {}).line || null,
+          latestStatus: r.status,
+          lastTimestamp: r.timestamp,
+          shift: r.shift,
+        },
+        ["lastTimestamp"],
+        req.timeZone,
+      ),
+    );
 
     console.log(`📊 Dashboard overview: ${result.length} machines`);
     res.json(result);
@@ -393,6 +1054,7 @@ app.get("/api/dashboard/overview", async (_, res) => {
 app.get("/api/dashboard/stats", async (_, res) => {
   try {
     const stats = await MachineData.aggregate([
+      { $match: await monitoredFilter() },
       { $sort: { timestamp: -1 } },
       { $group: { _id: "$machineName", status: { $first: "$status" } } },
       { $group: { _id: "$status", count: { $sum: 1 } } },
@@ -423,6 +1085,7 @@ app.get("/api/dashboard/stats", async (_, res) => {
 app.get("/api/machines/status", async (_, res) => {
   try {
     const rows = await MachineData.aggregate([
+      { $match: await monitoredFilter() },
       { $sort: { timestamp: -1 } },
       { $group: { _id: "$machineName", status: { $first: "$status" } } },
     ]);
@@ -451,8 +1114,10 @@ app.get("/api/machine-data", async (req, res) => {
   if (machine) q.machineName = machine;
 
   q.timestamp = {
-    $gte: from ? parseToUTC(from) : new Date(Date.now() - 86400000), // Last 24 hours
-    $lte: to ? parseToUTC(to) : new Date(),
+    $gte: from
+      ? parseToUTC(from, req.timeZone)
+      : new Date(Date.now() - 86400000), // Last 24 hours
+    $lte: to ? parseToUTC(to, req.timeZone) : new Date(),
   };
 
   try {
@@ -463,12 +1128,10 @@ app.get("/api/machine-data", async (req, res) => {
 
     console.log(`📊 Found ${docs.length} documents`);
 
-    // Convert UTC timestamps to PKT for frontend
-    const results = docs.map((d) => ({
-      ...d,
-      timestamp: utcToPKT(d.timestamp), // Convert to PKT
-      _id: d._id.toString(),
-    }));
+    // UTC timestamp plus timestampLocal in the requested zone
+    const results = docs.map((d) =>
+      withLocal({ ...d, _id: d._id.toString() }, ["timestamp"], req.timeZone),
+    );
 
     res.json(results);
   } catch (err) {
@@ -479,72 +1142,82 @@ app.get("/api/machine-data", async (req, res) => {
   }
 });
 
+// Items rejected at ingestion (kept 30 days), newest first
+app.get("/api/rejected-items", async (req, res) => {
+  const { source, reason, machine, limit = 100 } = req.query;
+  const q = {};
+  if (source) q.source = source;
+  if (reason) q.reason = reason;
+  if (machine) q.machineName = machine;
+
+  try {
+    const docs = await RejectedItem.find(q)
+      .sort({ receivedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000))
+      .lean();
+    res.json(docs.map((d) => withLocal(d, ["receivedAt"], req.timeZone)));
+  } catch (err) {
+    console.error("❌ Error fetching rejected items:", err);
+    res.status(500).json({ error: "Failed to fetch rejected items" });
+  }
+});
+
 /* =========================================================
-   CSV EXPORT
+   EXPORT (streamed: CSV / NDJSON / JSON / XLSX)
    ========================================================= */
 
+// ?machine=&from=&to=&format=csv|ndjson|json|xlsx&columns=timestamp,status,...
+// (columns apply to the flat formats; xlsx has a fixed layout)
 app.get("/api/export", async (req, res) => {
-  const { from, to, machine } = req.query;
-  console.log(`📥 Export request: machine=${machine}, from=${from}, to=${to}`);
-
-  const q = {};
+  const { from, to, machine, format = "csv" } = req.query;
+  console.log(
+    `📥 Export request: machine=${machine}, from=${from}, to=${to}, format=${format}`,
+  );
 
-  if (machine) q.machineName = machine;
-  if (from || to) {
-    q.timestamp = {};
-    if (from) q.timestamp.$gte = parseToUTC(from);
-    if (to) q.timestamp.$lte = parseToUTC(to);
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `format must be one of: ${EXPORT_FORMATS}` });
   }
+  const { columns, error } = parseColumns(req.query.columns);
+  if (error) return res.status(400).json({ error });
 
-  try {
-    const docs = await MachineData.find(q).sort({ timestamp: 1 }).lean();
+  const q = exportQuery(req.query, req.timeZone);
 
-    if (docs.length === 0) {
+  try {
+    if (!(await MachineData.exists(q))) {
       return res
         .status(404)
         .json({ error: "No data found for the specified criteria" });
     }
 
-    // Convert timestamps to PKT for export
-    const exportData = docs.map((d) => ({
-      ...d,
-      timestamp: utcToPKT(d.timestamp),
-      _id: d._id.toString(),
-    }));
-
-    const csv = new Parser({
-      fields: [
-        "timestamp",
-        "machineName",
-        "status",
-        "machinePower",
-        "downtime",
-        "shift",
-        "durationSeconds",
-      ],
-    }).parse(exportData);
-
-    const filename = `machine-data-${new Date()
-      .toISOString()
-      .slice(0, 10)}.csv`;
-
-    res.header("Content-Type", "text/csv");
-    res.attachment(filename);
-    res.send(csv);
-
-    console.log(`✅ Exported ${docs.length} records to CSV`);
+    const rows =
+      format === "xlsx"
+        ? await streamXlsx(res, { q, timeZone: req.timeZone })
+        : await streamExport(res, {
+            q,
+            format,
+            columns,
+            timeZone: req.timeZone,
+          });
+    console.log(`✅ Exported ${rows} records to ${format.toUpperCase()}`);
   } catch (err) {
     console.error("❌ Export error:", err);
-    res
-      .status(500)
-      .json({ error: "Failed to export data", details: err.message });
+    // Once streaming started only aborting tells the client it failed
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res
+        .status(500)
+        .json({ error: "Failed to export data", details: err.message });
+    }
   }
 });
 
 /* =========================================================
    HEALTH CHECK
    ========================================================= */
-app.get("/health", async (_, res) => {
+app.get("/health", async (req, res) => {
   try {
     // Check MongoDB connection
     await mongoose.connection.db.admin().ping();
@@ -559,13 +1232,23 @@ app.get("/health", async (_, res) => {
       database: "connected",
       totalRecords,
       latestRecord: latestRecord
-        ? {
-            machine: latestRecord.machineName,
-            timestamp: utcToPKT(latestRecord.timestamp),
-            status: latestRecord.status,
-          }
+        ? withLocal(
+            {
+              machine: latestRecord.machineName,
+              timestamp: latestRecord.timestamp,
+              status: latestRecord.status,
+            },
+            ["timestamp"],
+            req.timeZone,
+          )
         : null,
       websocketClients: wss.clients.size,
+      sseClients: sseClients.size,
+      liveEvents: getEventLogStats(),
+      ingest: getIngestStats(),
+      ingestQueue: getQueueStats(),
+      mqtt: getMqttStats(),
+      modbus: getModbusStats(),
     });
   } catch (err) {
     console.error("❌ Health check failed:", err);
@@ -573,6 +1256,10 @@ app.get("/health", async (_, res) => {
       status: "unhealthy",
       error: err.message,
       timestamp: new Date().toISOString(),
+      // Batches accepted while Mongo is down wait here
+      ingestQueue: getQueueStats(),
+      mqtt: getMqttStats(),
+      modbus: getModbusStats(),
     });
   }
 });
@@ -580,10 +1267,13 @@ app.get("/health", async (_, res) => {
 /* =========================================================
    RETENTION CRON
    ========================================================= */
+// MachineData older than this is archived to archives/ and deleted nightly
+const RETENTION_MONTHS = parseInt(process.env.RETENTION_MONTHS) || 3;
+
 cron.schedule("0 3 * * *", async () => {
   console.log("🔄 Running retention cron job...");
   const cutoff = new Date();
-  cutoff.setMonth(cutoff.getMonth() - 3);
+  cutoff.setMonth(cutoff.getMonth() - RETENTION_MONTHS);
 
   try {
     const old = await MachineData.find({ timestamp: { $lte: cutoff } }).lean();
@@ -609,68 +1299,230 @@ cron.schedule("0 3 * * *", async () => {
   }
 });
 
-async function saveLiveStatuses(items) {
-  const ops = [];
+/* =========================================================
+   📋 REPORT EMAIL CRON
+   ========================================================= */
+// Shift reports: every run mails the shifts that ended since the last one
+// mailed (progress is kept in MongoDB across restarts; default hourly at :05)
+cron.schedule(process.env.REPORT_SHIFT_CRON || "5 * * * *", async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const sent = await emailShiftReports();
+    if (sent) console.log(`📋 Mailed ${sent} shift reports`);
+  } catch (err) {
+    console.error("❌ Shift report cron job failed:", err);
+  }
+});
 
-  for (const item of items) {
-    if (!item.machine || !item.status) continue;
+// Daily report for the previous plant day
+cron.schedule(
+  process.env.REPORT_DAILY_CRON || "30 0 * * *",
+  async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      await emailDailyReport();
+    } catch (err) {
+      console.error("❌ Daily report cron job failed:", err);
+    }
+  },
+  { timezone: PLANT_TIMEZONE },
+);
+
+async function saveLiveStatuses(items, collector = null) {
+  const tzFor = await getMachineTimeZoneResolver();
+  const updates = items
+    .filter((item) => item.machine && item.status)
+    .map((item) => ({
+      machine: item.machine,
+      status: item.status,
+      updatedAt: parseToUTC(item.timestamp, tzFor(item.machine)) || new Date(),
+    }));
 
-    ops.push(
-      LiveStatus.updateOne(
-        { machineName: item.machine },
-        {
-          $set: {
-            status: item.status,
-            updatedAt: parseToUTC(item.timestamp || new Date()),
+  if (updates.length) {
+    await Promise.all(
+      updates.map((u) =>
+        LiveStatus.updateOne(
+          { machineName: u.machine },
+          {
+            $set: {
+              status: u.status,
+              updatedAt: u.updatedAt,
+              collector: collector ? collector.id : null,
+            },
           },
-        },
-        { upsert: true },
+          { upsert: true },
+        ),
       ),
     );
-  }
-
-  if (ops.length) {
-    await Promise.all(ops);
+    await recordTransitions(
+      updates.map((u) => ({
+        machineName: u.machine,
+        status: u.status,
+        at: u.updatedAt,
+      })),
+      "live-status",
+    );
 
-    broadcast({
+    await broadcast({
       type: "live_status_update",
-      data: items.map((i) => ({
-        machine: i.machine,
-        status: i.status,
-        timestamp: utcToPKT(i.timestamp || new Date()),
-      })),
+      data: updates.map((u) =>
+        withLocal(
+          { machine: u.machine, status: u.status, timestamp: u.updatedAt },
+          ["timestamp"],
+          tzFor(u.machine),
+        ),
+      ),
     });
   }
+
+  return { updated: updates.length };
 }
 
 /* =========================================================
    ✅ NEW LIVE STATUS APIs (ADDITION ONLY)
    ========================================================= */
 
-app.put("/api/live-status", async (req, res) => {
+// Validation + screening + save for live statuses (HTTP and MQTT)
+async function ingestLiveStatuses(items, collector = null, strict = false) {
+  const checked = validateBatch(items, LIVE_STATUS_SCHEMA);
+  const { results } = checked;
+  const { accepted } = await screenBatch(checked, "live-status", collector);
+  if (strict && accepted.length < items.length) {
+    return { results, updated: 0, batchRejected: true };
+  }
+
+  const { updated } = await saveLiveStatuses(accepted, collector);
+  return { results, updated };
+}
+
+app.put("/api/live-status", requireCollector, async (req, res) => {
   const items = Array.isArray(req.body) ? req.body : [req.body];
-  await saveLiveStatuses(items);
-  res.json({ ok: true, updated: items.length });
+  const { results, updated, batchRejected } = await ingestLiveStatuses(
+    items,
+    req.collector,
+    isStrict(req),
+  );
+  if (batchRejected) return rejectBatch(res, results);
+
+  res.json({
+    ok: true,
+    updated,
+    received: items.length,
+    ...countResults(results),
+    results,
+  });
 });
 
-app.get("/api/live-status", async (_, res) => {
-  const rows = await LiveStatus.find({}).lean();
+app.get("/api/live-status", async (req, res) => {
+  const rows = await LiveStatus.find(await monitoredFilter()).lean();
   res.json(
-    rows.map((r) => ({
-      machine: r.machineName,
-      status: r.status,
-      updatedAt: utcToPKT(r.updatedAt),
-    })),
+    rows.map((r) =>
+      withLocal(
+        { machine: r.machineName, status: r.status, updatedAt: r.updatedAt },
+        ["updatedAt"],
+        req.timeZone,
+      ),
+    ),
   );
 });
 
 app.get("/api/live-status/map", async (_, res) => {
-  const rows = await LiveStatus.find({}).lean();
+  const rows = await LiveStatus.find(await monitoredFilter()).lean();
   const map = {};
   rows.forEach((r) => (map[r.machineName] = r.status));
   res.json(map);
 });
 
+/* =========================================================
+   🚨 ALERTS
+   ========================================================= */
+app.get("/api/alerts", async (req, res) => {
+  const { state, machine, limit = 200 } = req.query;
+
+  const q = {};
+  if (state) q.state = String(state).toUpperCase();
+  if (machine) q.machineName = machine;
+
+  try {
+    const rows = await Alert.find(q)
+      .sort({ openedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 200, 1000))
+      .lean();
+
+    res.json(
+      rows.map((a) =>
+        withLocal(
+          {
+            id: a._id.toString(),
+            machine: a.machineName,
+            type: a.type,
+            rule: a.ruleName,
+            level: a.level,
+            state: a.state,
+            since: a.since,
+            openedAt: a.openedAt,
+            notifiedAt: a.notifiedAt,
+            resolvedAt: a.resolvedAt,
+            recipients: a.recipients,
+          },
+          ["since", "openedAt", "notifiedAt", "resolvedAt"],
+          req.timeZone,
+        ),
+      ),
+    );
+  } catch (err) {
+    console.error("❌ Alerts fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch alerts" });
+  }
+});
+
+/* =========================================================
+   🔗 WEBSOCKET CONNECTIONS (admin)
+   ========================================================= */
+function describeConnection(ws) {
+  return {
+    ...ws.meta,
+    state: ["connecting", "open", "closing", "closed"][ws.readyState],
+    subscriptions: describeSubscription(ws.subscription),
+  };
+}
+
+app.get("/api/ws-connections", requireRole("admin"), (req, res) => {
+  const connections = [...wss.clients].map(describeConnection);
+  res.json({
+    count: connections.length,
+    heartbeatMs: WS_HEARTBEAT_MS,
+    reaped: wsReaped,
+    connections,
+  });
+});
+
+app.delete("/api/ws-connections/:id", requireRole("admin"), (req, res) => {
+  const ws = [...wss.clients].find((c) => c.meta.id === req.params.id);
+  if (!ws) return res.status(404).json({ error: "Connection not found" });
+
+  console.log(
+    `🔗 ${req.user.username} disconnected WebSocket ${ws.meta.id} (${ws.meta.user})`,
+  );
+  ws.close(4000, "Disconnected by admin");
+  // A half-open socket never completes the close handshake
+  setTimeout(() => ws.terminate(), 5000).unref();
+  res.json({ ok: true, connection: describeConnection(ws) });
+});
+
+app.use("/api/alert-rules", alertRulesRouter);
+app.use("/api/machines", machinesRouter);
+app.use("/api/analytics", analyticsRouter);
+app.use("/api/maintenance", maintenanceRouter);
+app.use("/api/reason-codes", reasonCodesRouter);
+app.use("/api/downtime-events", downtimeEventsRouter);
+app.use("/api/state-transitions", stateTransitionsRouter);
+app.use("/api/shift-calendars", shiftCalendarsRouter);
+app.use("/api/sites", sitesRouter);
+app.use("/api/reports", reportsRouter);
+app.use("/api/users", requireRole("admin"), usersRouter);
+app.use("/api/collectors", requireRole("admin"), collectorsRouter);
+
 /* =========================================================
    ERROR HANDLING MIDDLEWARE
    ========================================================= */
@@ -686,6 +1538,46 @@ app.use((err, req, res, next) => {
 /* =========================================================
    SERVER
    ========================================================= */
+// Built-in collectors (MQTT, Modbus): machine data goes through the
+// write-ahead queue like HTTP batches; live status is only saved while
+// Mongo is up (→ false otherwise, newer readings replace it anyway)
+function collectorHandlers(scope) {
+  return {
+    onMachineData: async (items) => {
+      if (!hasRoom(items.length)) {
+        console.warn(
+          `📮 Ingestion queue full, dropping ${items.length} ${scope} items`,
+        );
+        return false;
+      }
+      await submitBatch({
+        source: "machine-data",
+        scope,
+        collector: null,
+        batchId: null,
+        sequence: null,
+        strict: false,
+        items,
+      });
+      return true;
+    },
+    onLiveStatus: async (items) => {
+      if (mongoose.connection.readyState !== 1) return false;
+      await ingestLiveStatuses(items);
+      return true;
+    },
+  };
+}
+
+startMqttGateway(collectorHandlers("mqtt"));
+startModbusPoller(collectorHandlers("modbus"));
+
+// Write-ahead queue behind POST /api/machine-data; replays batches left
+// on disk by a previous run once Mongo is up
+startIngestQueue({ "machine-data": ingestMachineData }).catch((err) =>
+  console.error("❌ Ingestion queue failed to start:", err),
+);
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,384 @@
+const mongoose = require("mongoose");
+const cron = require("node-cron");
+const MachineData = require("../models/machineData");
+const LiveStatus = require("../models/LiveStatus");
+const Alert = require("../models/Alert");
+const AlertRule = require("../models/AlertRule");
+const { sendMail, parseRecipients } = require("./mailer");
+const { getRegistry } = require("./machineRegistry");
+const { PLANT_TIMEZONE, formatLocal } = require("../utils/time");
+
+/* =========================================================
+   🚨 ALERT RULE ENGINE
+   ========================================================= */
+
+let thresholdMinutes = 10;
+let running = false;
+
+function formatTime(date) {
+  const local = formatLocal(date);
+  return local
+    ? `${local.slice(0, 19).replace("T", " ")} (${PLANT_TIMEZONE} ${local.slice(23)})`
+    : "-";
+}
+
+function minutesBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / 60000);
+}
+
+// Built-in rules from .env, used for machines no stored rule covers
+function getDefaultRules() {
+  const recipients = parseRecipients(process.env.ALERT_RECIPIENTS);
+  return [
+    {
+      _id: null,
+      name: "Default downtime",
+      condition: "STATUS",
+      status: "DOWNTIME",
+      thresholdMinutes,
+      recipients,
+      escalation: [],
+      notifyOnResolve: true,
+    },
+    {
+      _id: null,
+      name: "Default heartbeat",
+      condition: "NO_HEARTBEAT",
+      thresholdMinutes,
+      recipients,
+      escalation: [],
+      notifyOnResolve: true,
+    },
+  ];
+}
+
+// `machine` is the registry entry (may be undefined)
+function ruleAppliesTo(rule, machineName, machine) {
+  const machines = rule.machines || [];
+  const groups = rule.groups || [];
+  if (machines.length === 0 && groups.length === 0 && !rule.machinePattern) {
+    return true;
+  }
+  if (machines.includes(machineName)) return true;
+  if (
+    machine &&
+    [machine.line, machine.section, machine.department].some(
+      (g) => g && groups.includes(g),
+    )
+  ) {
+    return true;
+  }
+  return (
+    !!rule.machinePattern && new RegExp(rule.machinePattern).test(machineName)
+  );
+}
+
+function alertTypeFor(rule) {
+  return rule.condition === "NO_HEARTBEAT" ? "STALE" : rule.status;
+}
+
+function ruleKey(rule) {
+  return rule._id ? rule._id.toString() : `default:${alertTypeFor(rule)}`;
+}
+
+function alertRuleKey(alert) {
+  return alert.rule ? alert.rule.toString() : `default:${alert.type}`;
+}
+
+// Stored rules first; a default rule only applies when no stored rule
+// watching the same thing covers the machine.
+function rulesFor(machineName, machine, rules, defaults) {
+  const matched = rules.filter((r) => ruleAppliesTo(r, machineName, machine));
+  const watched = new Set(matched.map(alertTypeFor));
+  return matched.concat(defaults.filter((d) => !watched.has(alertTypeFor(d))));
+}
+
+// Latest known state per machine, merged from MachineData and LiveStatus
+async function getMachineStates() {
+  const rows = await MachineData.aggregate([
+    { $sort: { machineName: 1, timestamp: -1 } },
+    {
+      $group: {
+        _id: "$machineName",
+        status: { $first: "$status" },
+        timestamp: { $first: "$timestamp" },
+        receivedAt: { $first: "$updatedAt" },
+      },
+    },
+  ]);
+  const live = await LiveStatus.find({}).lean();
+
+  const states = new Map();
+
+  rows.forEach((r) => {
+    const lastSeen = new Date(
+      Math.max(r.timestamp.getTime(), (r.receivedAt || r.timestamp).getTime()),
+    );
+    states.set(r._id, {
+      machineName: r._id,
+      status: r.status,
+      statusAt: r.timestamp,
+      lastSeen,
+    });
+  });
+
+  live.forEach((l) => {
+    const current = states.get(l.machineName);
+    if (!current) {
+      states.set(l.machineName, {
+        machineName: l.machineName,
+        status: l.status,
+        statusAt: l.updatedAt,
+        lastSeen: l.updatedAt,
+      });
+      return;
+    }
+    if (l.updatedAt > current.lastSeen) current.lastSeen = l.updatedAt;
+    // Live status wins when it is newer than the last stored sample
+    if (l.updatedAt > current.statusAt) {
+      current.status = l.status;
+      current.statusAt = l.updatedAt;
+    }
+  });
+
+  return [...states.values()];
+}
+
+// Start of the current run of `status` according to MachineData history
+async function getStatusSince(state) {
+  const lastOther = await MachineData.findOne({
+    machineName: state.machineName,
+    status: { $ne: state.status },
+  })
+    .sort({ timestamp: -1 })
+    .select({ timestamp: 1 })
+    .lean();
+
+  const q = { machineName: state.machineName, status: state.status };
+  if (lastOther) q.timestamp = { $gt: lastOther.timestamp };
+
+  const first = await MachineData.findOne(q)
+    .sort({ timestamp: 1 })
+    .select({ timestamp: 1 })
+    .lean();
+
+  return first ? first.timestamp : state.statusAt;
+}
+
+function describe(alert, state, rule, now) {
+  const minutes = minutesBetween(alert.since, now);
+  const subject =
+    alert.type === "STALE"
+      ? `🚨 ${alert.machineName} has not reported for ${minutes} min`
+      : `🚨 ${alert.machineName} in ${alert.type} for ${minutes} min`;
+  const text = [
+    `Machine: ${alert.machineName}`,
+    `Rule: ${rule.name}`,
+    `Current status: ${state.status}`,
+    alert.type === "STALE"
+      ? `Last data received: ${formatTime(alert.since)}`
+      : `In ${alert.type} since: ${formatTime(alert.since)}`,
+    `Threshold: ${rule.thresholdMinutes} min`,
+  ];
+  return { subject, text };
+}
+
+async function notify(alert, recipients, subject, text) {
+  try {
+    if (await sendMail({ to: recipients, subject, text })) {
+      alert.recipients = [...new Set([...alert.recipients, ...recipients])];
+      alert.notifiedAt = new Date();
+    }
+  } catch (err) {
+    console.error(
+      `❌ Alert mail failed for ${alert.machineName}:`,
+      err.message,
+    );
+  }
+}
+
+async function openAlert(rule, state, since, now) {
+  const alert = await Alert.create({
+    machineName: state.machineName,
+    type: alertTypeFor(rule),
+    rule: rule._id,
+    ruleName: rule.name,
+    since,
+  });
+
+  const { subject, text } = describe(alert, state, rule, now);
+  await notify(
+    alert,
+    parseRecipients(rule.recipients),
+    subject,
+    text.join("\n"),
+  );
+  await alert.save();
+
+  console.log(
+    `🚨 Opened ${alert.type} alert for ${state.machineName} (${rule.name})`,
+  );
+  return alert;
+}
+
+async function escalateAlert(alert, rule, state, now) {
+  const elapsed = minutesBetween(alert.since, now);
+  const steps = rule.escalation || [];
+  let changed = false;
+
+  for (let i = alert.level; i < steps.length; i++) {
+    const step = steps[i];
+    if (elapsed < step.afterMinutes) break;
+
+    const { subject, text } = describe(alert, state, rule, now);
+    text.push(
+      `Escalation: ${step.label || `level ${i + 1}`} (${step.afterMinutes} min)`,
+    );
+    await notify(
+      alert,
+      parseRecipients(step.recipients),
+      `⚠️ ESCALATED ${subject}`,
+      text.join("\n"),
+    );
+    alert.level = i + 1;
+    changed = true;
+    console.log(
+      `⚠️ Escalated ${alert.type} alert for ${alert.machineName} to level ${alert.level}`,
+    );
+  }
+
+  if (changed) await alert.save();
+}
+
+async function resolveAlert(alert, rule, state, now) {
+  alert.state = "RESOLVED";
+  alert.resolvedAt = now;
+
+  if (rule && rule.notifyOnResolve && alert.recipients.length) {
+    const subject = `✅ ${alert.machineName} resolved (${alert.type})`;
+    const text = [
+      `Machine: ${alert.machineName}`,
+      `Rule: ${alert.ruleName}`,
+      `Current status: ${state ? state.status : "UNKNOWN"}`,
+      `Incident started: ${formatTime(alert.since)}`,
+      `Resolved at: ${formatTime(now)}`,
+      `Duration: ${minutesBetween(alert.since, now)} min`,
+    ].join("\n");
+
+    try {
+      if (await sendMail({ to: alert.recipients, subject, text })) {
+        alert.resolvedNotifiedAt = new Date();
+      }
+    } catch (err) {
+      console.error(
+        `❌ Resolve mail failed for ${alert.machineName}:`,
+        err.message,
+      );
+    }
+  }
+
+  await alert.save();
+  console.log(`✅ Resolved ${alert.type} alert for ${alert.machineName}`);
+}
+
+function isTriggered(rule, since, now) {
+  return now - since > rule.thresholdMinutes * 60 * 1000;
+}
+
+async function evaluateAlerts(now = new Date()) {
+  const rules = await AlertRule.find({ enabled: true }).lean();
+  const defaults = getDefaultRules();
+  const rulesByKey = new Map(
+    rules.concat(defaults).map((r) => [ruleKey(r), r]),
+  );
+
+  // Unregistered / decommissioned machines are not watched once the
+  // registry has entries
+  const registry = await getRegistry();
+  const isWatched = (name) =>
+    registry.size === 0 || (registry.has(name) && registry.get(name).active);
+
+  const states = (await getMachineStates()).filter((s) =>
+    isWatched(s.machineName),
+  );
+  const byMachine = new Map(states.map((s) => [s.machineName, s]));
+
+  const open = await Alert.find({ state: "OPEN" });
+  const openByKey = new Map(
+    open.map((a) => [`${alertRuleKey(a)}|${a.machineName}|${a.type}`, a]),
+  );
+
+  for (const state of states) {
+    let statusSince = null;
+
+    const machine = registry.get(state.machineName);
+    for (const rule of rulesFor(state.machineName, machine, rules, defaults)) {
+      let since;
+      if (rule.condition === "NO_HEARTBEAT") {
+        since = state.lastSeen;
+      } else {
+        if (state.status !== rule.status) continue;
+        statusSince = statusSince || (await getStatusSince(state));
+        since = statusSince;
+      }
+
+      const key = `${ruleKey(rule)}|${state.machineName}|${alertTypeFor(rule)}`;
+      const existing = openByKey.get(key);
+
+      if (existing) {
+        await escalateAlert(existing, rule, state, now);
+      } else if (isTriggered(rule, since, now)) {
+        const alert = await openAlert(rule, state, since, now);
+        await escalateAlert(alert, rule, state, now);
+      }
+    }
+  }
+
+  // Close incidents once the machine is reporting / out of the alerted status
+  for (const alert of open) {
+    if (alert.state !== "OPEN") continue;
+    const rule = rulesByKey.get(alertRuleKey(alert));
+    const state = byMachine.get(alert.machineName);
+
+    // Rule deleted / disabled or machine no longer watched: close quietly
+    if (
+      !rule ||
+      !isWatched(alert.machineName) ||
+      !ruleAppliesTo(rule, alert.machineName, registry.get(alert.machineName))
+    ) {
+      await resolveAlert(alert, null, state, now);
+      continue;
+    }
+    if (!state) continue;
+
+    if (alert.type === "STALE") {
+      if (!isTriggered(rule, state.lastSeen, now)) {
+        await resolveAlert(alert, rule, state, now);
+      }
+    } else if (state.status !== alert.type) {
+      await resolveAlert(alert, rule, state, now);
+    }
+  }
+}
+
+function startAlertEngine(options = {}) {
+  thresholdMinutes = options.thresholdMinutes || thresholdMinutes;
+
+  cron.schedule("* * * * *", async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await evaluateAlerts();
+    } catch (err) {
+      console.error("❌ Alert evaluation failed:", err);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log(
+    `🚨 Alert engine started (default threshold ${thresholdMinutes} min)`,
+  );
+}
+
+module.exports = { startAlertEngine, evaluateAlerts };
@@ -0,0 +1,413 @@
+const MachineData = require("../models/machineData");
+const { getRegistry } = require("./machineRegistry");
+const { getShiftResolver } = require("./shiftCalendar");
+const { withLocal, dayWindow } = require("../utils/time");
+
+/* =========================================================
+   📈 ANALYTICS (state segments rebuilt from MachineData)
+   ========================================================= */
+
+const GROUP_BY = ["shift", "day"];
+
+// Bucket window function (date, line) → { key, date, shift, start, end }.
+// Days follow `timeZone`; shifts follow their calendar's zone.
+async function getBucketFn(groupBy, timeZone) {
+  if (groupBy === "day") return (date) => dayWindow(date, timeZone);
+  if (groupBy === "shift") return (await getShiftResolver()).windowAt;
+  return null;
+}
+
+// Streams MachineData for the window and calls fn(segment) for every
+// period a machine spent in one state, clipped to [from, to]. Counters
+// sent with a record belong to the segment that record closes.
+async function forEachSegment({ machines, from, to }, fn) {
+  const end = new Date(Math.min(to.getTime(), Date.now()));
+  const match = machines ? { machineName: { $in: machines } } : {};
+
+  // State each machine was in when the window opened
+  const before = await MachineData.aggregate([
+    { $match: { ...match, timestamp: { $lt: from } } },
+    { $sort: { machineName: 1, timestamp: -1 } },
+    {
+      $group: {
+        _id: "$machineName",
+        status: { $first: "$status" },
+        timestamp: { $first: "$timestamp" },
+      },
+    },
+  ]);
+  const opening = new Map(before.map((b) => [b._id, b]));
+
+  const cursor = MachineData.find({
+    ...match,
+    timestamp: { $gte: from, $lte: end },
+  })
+    .sort({ machineName: 1, timestamp: 1 })
+    .select({
+      machineName: 1,
+      timestamp: 1,
+      status: 1,
+      pieceCount: 1,
+      rejectCount: 1,
+    })
+    .lean()
+    .cursor();
+
+  let prev = null;
+  const seen = new Set();
+
+  const closeMachine = () => {
+    if (prev && prev.timestamp < end) {
+      fn({
+        machineName: prev.machineName,
+        status: prev.status,
+        start: prev.timestamp < from ? from : prev.timestamp,
+        end,
+        pieceCount: 0,
+        rejectCount: 0,
+        hasCounts: false,
+      });
+    }
+  };
+
+  for await (const doc of cursor) {
+    if (!prev || prev.machineName !== doc.machineName) {
+      closeMachine();
+      seen.add(doc.machineName);
+      const open = opening.get(doc.machineName);
+      prev = open
+        ? { machineName: doc.machineName, ...open }
+        : { ...doc, status: null };
+      if (!open) prev.timestamp = doc.timestamp;
+    }
+
+    fn({
+      machineName: doc.machineName,
+      status: prev.status,
+      start: prev.timestamp < from ? from : prev.timestamp,
+      end: doc.timestamp,
+      pieceCount: doc.pieceCount || 0,
+      rejectCount: doc.rejectCount || 0,
+      hasCounts: doc.pieceCount !== null && doc.pieceCount !== undefined,
+    });
+    prev = doc;
+  }
+  closeMachine();
+
+  // Machines with no records inside the window stayed in their opening state
+  opening.forEach((open, machineName) => {
+    if (seen.has(machineName)) return;
+    fn({
+      machineName,
+      status: open.status,
+      start: from,
+      end,
+      pieceCount: 0,
+      rejectCount: 0,
+      hasCounts: false,
+    });
+  });
+}
+
+// Splits a segment at bucket boundaries → [{ bucket, seconds }]
+function splitSegment(segment, windowFn) {
+  const parts = [];
+  let cursor = segment.start.getTime();
+  const end = segment.end.getTime();
+
+  while (cursor < end) {
+    const bucket = windowFn(cursor);
+    const stop = Math.min(end, bucket.end.getTime());
+    parts.push({ bucket, seconds: (stop - cursor) / 1000 });
+    cursor = stop;
+  }
+  return parts;
+}
+
+function emptyTotals() {
+  return {
+    runtimeSeconds: 0,
+    downtimeSeconds: 0,
+    offSeconds: 0,
+    unknownSeconds: 0,
+    pieceCount: 0,
+    rejectCount: 0,
+    hasCounts: false,
+  };
+}
+
+function addSeconds(totals, status, seconds) {
+  if (status === "RUNNING") totals.runtimeSeconds += seconds;
+  else if (status === "DOWNTIME") totals.downtimeSeconds += seconds;
+  else if (status === "OFF") totals.offSeconds += seconds;
+  else totals.unknownSeconds += seconds;
+}
+
+function addCounts(totals, segment) {
+  totals.pieceCount += segment.pieceCount;
+  totals.rejectCount += segment.rejectCount;
+  totals.hasCounts = totals.hasCounts || segment.hasCounts;
+}
+
+function ratio(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+// availability = RUNNING / (RUNNING + DOWNTIME), OFF is planned stop time
+// performance  = pieces / (ratedSpeed × running minutes)
+// quality      = good pieces / pieces
+function finalizeOEE(totals, ratedSpeed) {
+  const planned = totals.runtimeSeconds + totals.downtimeSeconds;
+  const availability = planned > 0 ? totals.runtimeSeconds / planned : null;
+
+  let performance = null;
+  let quality = null;
+  if (totals.hasCounts) {
+    if (ratedSpeed && totals.runtimeSeconds > 0) {
+      performance = Math.min(
+        totals.pieceCount / (ratedSpeed * (totals.runtimeSeconds / 60)),
+        1,
+      );
+    }
+    if (totals.pieceCount > 0) {
+      quality =
+        Math.max(totals.pieceCount - totals.rejectCount, 0) / totals.pieceCount;
+    }
+  }
+
+  const oee =
+    availability !== null && performance !== null && quality !== null
+      ? availability * performance * quality
+      : null;
+
+  return {
+    runtimeSeconds: Math.round(totals.runtimeSeconds),
+    downtimeSeconds: Math.round(totals.downtimeSeconds),
+    offSeconds: Math.round(totals.offSeconds),
+    unknownSeconds: Math.round(totals.unknownSeconds),
+    pieceCount: totals.hasCounts ? totals.pieceCount : null,
+    rejectCount: totals.hasCounts ? totals.rejectCount : null,
+    availability: ratio(availability),
+    performance: ratio(performance),
+    quality: ratio(quality),
+    oee: ratio(oee),
+  };
+}
+
+async function computeOEE({ machines, from, to, groupBy, timeZone }) {
+  const registry = await getRegistry();
+  const windowFn = await getBucketFn(groupBy, timeZone);
+  const perMachine = new Map();
+
+  const entryFor = (machineName) => {
+    if (!perMachine.has(machineName)) {
+      perMachine.set(machineName, { total: emptyTotals(), buckets: new Map() });
+    }
+    return perMachine.get(machineName);
+  };
+
+  const bucketFor = (entry, bucket) => {
+    if (!entry.buckets.has(bucket.key)) {
+      entry.buckets.set(bucket.key, { bucket, totals: emptyTotals() });
+    }
+    return entry.buckets.get(bucket.key).totals;
+  };
+
+  await forEachSegment({ machines, from, to }, (segment) => {
+    const entry = entryFor(segment.machineName);
+    const seconds = (segment.end - segment.start) / 1000;
+
+    addSeconds(entry.total, segment.status, seconds);
+    addCounts(entry.total, segment);
+
+    if (windowFn) {
+      const line = (registry.get(segment.machineName) || {}).line;
+      const bucketAt = (date) => windowFn(date, line);
+
+      splitSegment(segment, bucketAt).forEach((part) =>
+        addSeconds(bucketFor(entry, part.bucket), segment.status, part.seconds),
+      );
+      // Counters belong to the bucket of the record that carried them
+      if (segment.hasCounts) {
+        addCounts(bucketFor(entry, bucketAt(segment.end)), segment);
+      }
+    }
+  });
+
+  return [...perMachine.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([machineName, entry]) => {
+      const ratedSpeed = (registry.get(machineName) || {}).ratedSpeed || null;
+      const result = {
+        machine: machineName,
+        ratedSpeed,
+        ...finalizeOEE(entry.total, ratedSpeed),
+      };
+
+      if (windowFn) {
+        result.buckets = [...entry.buckets.values()]
+          .sort((a, b) => a.bucket.start - b.bucket.start)
+          .map(({ bucket, totals }) =>
+            withLocal(
+              {
+                bucket: bucket.key,
+                date: bucket.date,
+                shift: bucket.shift || null,
+                start: bucket.start,
+                end: bucket.end,
+                ...finalizeOEE(totals, ratedSpeed),
+              },
+              ["start", "end"],
+              timeZone,
+            ),
+          );
+      }
+
+      return result;
+    });
+}
+
+/* =========================================================
+   🔧 RELIABILITY (MTBF / MTTR / stops)
+   ========================================================= */
+
+const STOP_HISTOGRAM = [
+  { label: "<1m", maxSeconds: 60 },
+  { label: "1-5m", maxSeconds: 5 * 60 },
+  { label: "5-15m", maxSeconds: 15 * 60 },
+  { label: "15-30m", maxSeconds: 30 * 60 },
+  { label: "30-60m", maxSeconds: 60 * 60 },
+  { label: "1-2h", maxSeconds: 2 * 60 * 60 },
+  { label: ">2h", maxSeconds: Infinity },
+];
+
+function emptyReliability() {
+  return {
+    runtimeSeconds: 0,
+    downtimeSeconds: 0,
+    stops: 0,
+    longestStop: null,
+    histogram: STOP_HISTOGRAM.map(() => 0),
+  };
+}
+
+function addStop(acc, stop) {
+  const seconds = (stop.end - stop.start) / 1000;
+  acc.stops++;
+  acc.histogram[STOP_HISTOGRAM.findIndex((b) => seconds < b.maxSeconds)]++;
+  if (!acc.longestStop || seconds > acc.longestStop.seconds) {
+    acc.longestStop = { ...stop, seconds };
+  }
+}
+
+function mergeReliability(target, acc) {
+  target.runtimeSeconds += acc.runtimeSeconds;
+  target.downtimeSeconds += acc.downtimeSeconds;
+  target.stops += acc.stops;
+  acc.histogram.forEach((n, i) => (target.histogram[i] += n));
+  if (
+    acc.longestStop &&
+    (!target.longestStop ||
+      acc.longestStop.seconds > target.longestStop.seconds)
+  ) {
+    target.longestStop = acc.longestStop;
+  }
+}
+
+// MTBF = running time / stops, MTTR = downtime / stops
+function finalizeReliability(acc, timeZone) {
+  return {
+    downtimeEvents: acc.stops,
+    runtimeSeconds: Math.round(acc.runtimeSeconds),
+    downtimeSeconds: Math.round(acc.downtimeSeconds),
+    mtbfSeconds: acc.stops ? Math.round(acc.runtimeSeconds / acc.stops) : null,
+    mttrSeconds: acc.stops ? Math.round(acc.downtimeSeconds / acc.stops) : null,
+    longestStop: acc.longestStop
+      ? withLocal(
+          {
+            machine: acc.longestStop.machineName,
+            seconds: Math.round(acc.longestStop.seconds),
+            start: acc.longestStop.start,
+            end: acc.longestStop.end,
+          },
+          ["start", "end"],
+          timeZone,
+        )
+      : null,
+    histogram: STOP_HISTOGRAM.map((b, i) => ({
+      bucket: b.label,
+      count: acc.histogram[i],
+    })),
+  };
+}
+
+// A stop is one uninterrupted run of DOWNTIME segments (clipped to the
+// window); OFF / UNKNOWN end the run without counting as repair time.
+async function computeReliability({ machines, from, to, timeZone }) {
+  const registry = await getRegistry();
+  const perMachine = new Map();
+  let current = null; // open stop { machineName, start, end }
+
+  const accFor = (machineName) => {
+    if (!perMachine.has(machineName)) {
+      perMachine.set(machineName, emptyReliability());
+    }
+    return perMachine.get(machineName);
+  };
+
+  const closeStop = () => {
+    if (current) addStop(accFor(current.machineName), current);
+    current = null;
+  };
+
+  await forEachSegment({ machines, from, to }, (segment) => {
+    if (segment.end <= segment.start || segment.status === null) return;
+    const acc = accFor(segment.machineName);
+    const seconds = (segment.end - segment.start) / 1000;
+
+    if (current && current.machineName !== segment.machineName) closeStop();
+
+    if (segment.status === "DOWNTIME") {
+      acc.downtimeSeconds += seconds;
+      if (current) current.end = segment.end;
+      else current = { ...segment };
+      return;
+    }
+
+    closeStop();
+    if (segment.status === "RUNNING") acc.runtimeSeconds += seconds;
+  });
+  closeStop();
+
+  const lines = new Map();
+  const machineResults = [...perMachine.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([machineName, acc]) => {
+      const line = (registry.get(machineName) || {}).line || "Unassigned";
+      if (!lines.has(line)) lines.set(line, emptyReliability());
+      mergeReliability(lines.get(line), acc);
+
+      return {
+        machine: machineName,
+        line,
+        ...finalizeReliability(acc, timeZone),
+      };
+    });
+
+  const lineResults = [...lines.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([line, acc]) => ({ line, ...finalizeReliability(acc, timeZone) }));
+
+  return { machines: machineResults, lines: lineResults };
+}
+
+module.exports = {
+  GROUP_BY,
+  getBucketFn,
+  forEachSegment,
+  splitSegment,
+  emptyTotals,
+  addSeconds,
+  computeOEE,
+  computeReliability,
+};
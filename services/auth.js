@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { findCollectorByKey } = require("./collectors");
+const { readAuthSnapshot, saveAuthSnapshot } = require("./authSnapshot");
+
+/* =========================================================
+   🔐 AUTHENTICATION & ROLES
+   ========================================================= */
+
+const scrypt = promisify(crypto.scrypt);
+
+// Higher rank includes everything below it
+const ROLE_RANK = { viewer: 1, supervisor: 2, admin: 3 };
+
+// Collector API keys may only call these endpoints
+const COLLECTOR_ENDPOINTS = ["POST /api/machine-data", "PUT /api/live-status"];
+
+// EventSource cannot set headers: these also take the user token as ?token=
+const QUERY_TOKEN_ENDPOINTS = ["GET /api/stream"];
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheAt = 0;
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+  console.warn(
+    "⚠️ JWT_SECRET not set, using a random secret (tokens end with the process)",
+  );
+}
+
+/* ---------- passwords ---------- */
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/* ---------- users & tokens ---------- */
+
+// Active users by id, so role changes / deactivation apply within a minute.
+// While MongoDB is down the last known users stay valid (see
+// services/authSnapshot), so admins can still queue batches by hand.
+async function getUsers() {
+  const stale = !cache || Date.now() - cacheAt > CACHE_TTL_MS;
+  if (stale && mongoose.connection.readyState !== 1) {
+    if (cache) return cache;
+    const rows = await readAuthSnapshot("users");
+    // cacheAt stays as it was, so the users are reloaded once Mongo is back
+    if (rows) return (cache = new Map(rows.map((u) => [u._id, u])));
+  }
+  if (stale) {
+    const rows = await User.find({ active: true }).lean();
+    cache = new Map(rows.map((u) => [u._id.toString(), u]));
+    cacheAt = Date.now();
+    saveAuthSnapshot(
+      "users",
+      rows.map(({ _id, username, displayName, role }) => ({
+        _id: _id.toString(),
+        username,
+        displayName,
+        role,
+      })),
+    );
+  }
+  return cache;
+}
+
+function invalidateUsers() {
+  cache = null;
+}
+
+function publicUser(user) {
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+  };
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString(), role: user.role }, jwtSecret, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "12h",
+  });
+}
+
+// Bearer token → public user, or null when invalid / expired / inactive
+async function userFromToken(token) {
+  if (!token) return null;
+  try {
+    const { sub } = jwt.verify(token, jwtSecret);
+    const user = (await getUsers()).get(sub);
+    return user ? publicUser(user) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function login(username, password) {
+  const user = await User.findOne({
+    username: String(username || "").toLowerCase(),
+    active: true,
+  }).select("+passwordHash");
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+  return { token: signToken(user), user: publicUser(user) };
+}
+
+// First start: create the admin from .env when there are no users yet
+async function ensureAdminUser() {
+  if (await User.exists({})) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      "⚠️ No users exist; set ADMIN_USERNAME / ADMIN_PASSWORD to create the first admin",
+    );
+    return;
+  }
+
+  await User.create({
+    username: ADMIN_USERNAME,
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+    role: "admin",
+  });
+  console.log(`🔐 Created admin user: ${ADMIN_USERNAME}`);
+}
+
+/* ---------- middleware ---------- */
+
+function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Sets req.user (JWT) or req.collector (X-API-Key, see services/collectors);
+// 401 without either
+async function authenticate(req, res, next) {
+  const endpoint = `${req.method} ${req.originalUrl.split("?")[0]}`;
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey) {
+    const collector = await findCollectorByKey(apiKey);
+    if (!collector) {
+      return res.status(401).json({ error: "Invalid or revoked API key" });
+    }
+    if (!COLLECTOR_ENDPOINTS.includes(endpoint)) {
+      return res
+        .status(403)
+        .json({ error: "API keys can only submit machine data" });
+    }
+    req.collector = collector;
+    return next();
+  }
+
+  let token = bearerToken(req);
+  if (!token && QUERY_TOKEN_ENDPOINTS.includes(endpoint)) {
+    token = typeof req.query.token === "string" ? req.query.token : null;
+  }
+  const user = await userFromToken(token);
+  if (!user) return res.status(401).json({ error: "Authentication required" });
+  req.user = user;
+  next();
+}
+
+function hasRole(user, role) {
+  return !!user && ROLE_RANK[user.role] >= ROLE_RANK[role];
+}
+
+// requireRole("supervisor") lets supervisors and admins through
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ error: `Requires ${role} role` });
+  };
+}
+
+// Ingestion: collector API key, or an admin back-filling by hand
+function requireCollector(req, res, next) {
+  if (req.collector || hasRole(req.user, "admin")) return next();
+  res.status(403).json({ error: "Requires a collector API key" });
+}
+
+// WebSocket upgrade: ?token= (browsers cannot set headers) or Bearer header
+async function authenticateUpgrade(req) {
+  const url = new URL(req.url, "http://localhost");
+  return userFromToken(url.searchParams.get("token") || bearerToken(req));
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  getUsers,
+  invalidateUsers,
+  publicUser,
+  login,
+  ensureAdminUser,
+  authenticate,
+  hasRole,
+  requireRole,
+  requireCollector,
+  authenticateUpgrade,
+};
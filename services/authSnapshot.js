@@ -0,0 +1,54 @@
+const fs = require("fs");
+
+/* =========================================================
+   🔐 AUTH SNAPSHOT (collector keys & users while MongoDB is down)
+   =========================================================
+   The last collector key hashes and active users loaded from MongoDB
+   are kept on disk, so a server started during an outage can still
+   authenticate collectors and queue their batches.
+*/
+
+const SNAPSHOT_FILE = process.env.AUTH_SNAPSHOT_FILE || "./auth-snapshot.json";
+
+async function readSnapshotFile() {
+  try {
+    return JSON.parse(await fs.promises.readFile(SNAPSHOT_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`❌ Unreadable ${SNAPSHOT_FILE}:`, err.message);
+    }
+    return {};
+  }
+}
+
+// Rows last saved under `section` ("collectors" | "users"), or null
+async function readAuthSnapshot(section) {
+  const rows = (await readSnapshotFile())[section];
+  if (!rows) return null;
+  console.warn(
+    `⚠️ MongoDB unavailable, using ${section} from ${SNAPSHOT_FILE}`,
+  );
+  return rows;
+}
+
+// Writes are chained so two sections saved together do not race
+let writing = Promise.resolve();
+
+function saveAuthSnapshot(section, rows) {
+  writing = writing
+    .then(async () => {
+      const snapshot = await readSnapshotFile();
+      snapshot[section] = rows;
+      const tmp = `${SNAPSHOT_FILE}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(snapshot), {
+        mode: 0o600,
+      });
+      await fs.promises.rename(tmp, SNAPSHOT_FILE);
+    })
+    .catch((err) =>
+      console.error(`❌ Failed to save ${section} snapshot:`, err.message),
+    );
+  return writing;
+}
+
+module.exports = { readAuthSnapshot, saveAuthSnapshot };
@@ -0,0 +1,151 @@
+const IngestBatch = require("../models/IngestBatch");
+const Collector = require("../models/Collector");
+
+/* =========================================================
+   🔁 IDEMPOTENT BATCHES & SEQUENCE NUMBERS
+   ========================================================= */
+
+// A claim not completed within this time (crash, batch given up) may be
+// taken over by a retry
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Batch IDs are unique per collector (or per admin posting by hand)
+function batchScope(collector, user) {
+  if (collector) return collector.id;
+  return user ? `user:${user.username}` : "anonymous";
+}
+
+// Result of a batch already ingested under this ID, or null
+async function findBatchResult(scope, batchId) {
+  const batch = await IngestBatch.findOne({ scope, batchId })
+    .select("result")
+    .lean();
+  return batch && batch.result ? batch.result : null;
+}
+
+// Records the collector's sequence number → { expected, received, missing }
+// when numbers were skipped (possible data loss), else null. Late batches
+// (lower than the highest seen) fill earlier gaps and are not reported.
+async function trackSequence(collector, sequence) {
+  const before = await Collector.findOneAndUpdate(
+    { _id: collector.id },
+    [{ $set: { lastSequence: { $max: ["$lastSequence", sequence] } } }],
+    { new: false, projection: { lastSequence: 1 } },
+  ).lean();
+  if (!before || before.lastSequence === null) return null;
+
+  const expected = before.lastSequence + 1;
+  if (sequence < expected) {
+    console.log(
+      `🔁 Collector ${collector.name}: late batch #${sequence} (latest #${before.lastSequence})`,
+    );
+    return null;
+  }
+  if (sequence === expected) return null;
+
+  const gap = { expected, received: sequence, missing: sequence - expected };
+  console.warn(
+    `⚠️ Collector ${collector.name}: sequence gap, ${gap.missing} batches missing (#${expected}-#${sequence - 1}), possible data loss`,
+  );
+  return gap;
+}
+
+// Reserves { scope, batchId } for one attempt before anything is written,
+// so retries arriving meanwhile neither save nor count the batch again.
+// owner = queue entry id (its own replays keep the claim) →
+// { claimed: true }, { result } of the finished first attempt, or
+// { inProgress: true } while another attempt holds the claim
+async function claimBatch({ scope, collector, batchId, sequence, owner }) {
+  try {
+    await IngestBatch.create({
+      scope,
+      collector: collector ? collector.id : null,
+      batchId,
+      sequence,
+      owner,
+      claimedAt: new Date(),
+    });
+    return { claimed: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IngestBatch.findOne({ scope, batchId }).lean();
+  if (!existing) throw new Error(`Claim on batch ${batchId} lost, retrying`);
+  if (existing.result) return { result: existing.result };
+
+  const stale =
+    !existing.claimedAt || Date.now() - existing.claimedAt > CLAIM_TIMEOUT_MS;
+  if (existing.owner !== owner && !stale) return { inProgress: true };
+
+  const taken = await IngestBatch.findOneAndUpdate(
+    { _id: existing._id, result: null, claimedAt: existing.claimedAt },
+    { $set: { owner, claimedAt: new Date() } },
+  ).lean();
+  return taken ? { claimed: true } : { inProgress: true };
+}
+
+// Stores the result: completes the claim of a batch with an ID, else
+// records the batch for its sequence number
+async function recordBatch({
+  scope,
+  collector,
+  batchId,
+  sequence,
+  itemCount,
+  result,
+}) {
+  const fields = {
+    sequence,
+    itemCount,
+    result,
+    gap: result.sequenceGap || null,
+  };
+  try {
+    if (batchId) {
+      await IngestBatch.updateOne({ scope, batchId }, { $set: fields });
+    } else {
+      await IngestBatch.create({
+        scope,
+        collector: collector ? collector.id : null,
+        batchId,
+        ...fields,
+      });
+    }
+  } catch (err) {
+    console.error(`❌ Failed to record batch ${batchId}:`, err.message);
+  }
+}
+
+// Sequence numbers never received from a collector, over the batches still
+// on record (7 days) → [{ from, to, missing }]
+async function sequenceGaps(collectorId) {
+  const sequences = (
+    await IngestBatch.distinct("sequence", {
+      collector: collectorId,
+      sequence: { $ne: null },
+    })
+  ).sort((a, b) => a - b);
+
+  const gaps = [];
+  for (let i = 1; i < sequences.length; i++) {
+    const missing = sequences[i] - sequences[i - 1] - 1;
+    if (missing > 0) {
+      gaps.push({
+        from: sequences[i - 1] + 1,
+        to: sequences[i] - 1,
+        missing,
+      });
+    }
+  }
+  return gaps;
+}
+
+module.exports = {
+  batchScope,
+  findBatchResult,
+  claimBatch,
+  trackSequence,
+  recordBatch,
+  sequenceGaps,
+};
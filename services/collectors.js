@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Collector = require("../models/Collector");
+const { readAuthSnapshot, saveAuthSnapshot } = require("./authSnapshot");
+
+/* =========================================================
+   📡 COLLECTORS (machine-scoped API keys)
+   ========================================================= */
+
+const CACHE_TTL_MS = 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+let cache = null;
+let cacheAt = 0;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// "fmc_<prefix>_<secret>": the prefix finds the collector, the hash of the
+// whole key proves it
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const key = `fmc_${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, keyPrefix: prefix, keyHash: sha256(key) };
+}
+
+function keyPrefixOf(key) {
+  const parts = String(key).split("_");
+  return parts.length === 3 && parts[0] === "fmc" ? parts[1] : null;
+}
+
+function keysFrom(rows) {
+  const keys = new Map();
+  rows.forEach((c) => {
+    keys.set(c.keyPrefix, { collector: c, hash: c.keyHash });
+    if (c.previousKeyPrefix && c.previousKeyHash) {
+      keys.set(c.previousKeyPrefix, {
+        collector: c,
+        hash: c.previousKeyHash,
+        expiresAt: c.previousKeyExpiresAt && new Date(c.previousKeyExpiresAt),
+      });
+    }
+  });
+  return keys;
+}
+
+// Active collectors by key prefix (current and, during a rotation grace
+// period, previous key). While MongoDB is down the last known keys keep
+// working so collectors can still hand batches to the ingestion queue,
+// after a restart too (see services/authSnapshot).
+async function getCollectorKeys() {
+  const stale = !cache || Date.now() - cacheAt > CACHE_TTL_MS;
+  if (stale && mongoose.connection.readyState !== 1) {
+    if (cache) return cache;
+    const rows = await readAuthSnapshot("collectors");
+    // cacheAt stays 0, so the keys are reloaded once Mongo is back
+    if (rows) return (cache = keysFrom(rows));
+  }
+  if (stale) {
+    const rows = await Collector.find({ active: true })
+      .select("+keyHash +previousKeyHash")
+      .lean();
+    cache = keysFrom(rows);
+    cacheAt = Date.now();
+    saveAuthSnapshot("collectors", rows);
+  }
+  return cache;
+}
+
+function invalidateCollectors() {
+  cache = null;
+}
+
+function touch(collector) {
+  const now = Date.now();
+  if (
+    collector.lastSeenAt &&
+    now - collector.lastSeenAt < LAST_SEEN_INTERVAL_MS
+  ) {
+    return;
+  }
+  collector.lastSeenAt = new Date(now);
+  Collector.updateOne(
+    { _id: collector._id },
+    { $set: { lastSeenAt: collector.lastSeenAt } },
+  ).catch((err) =>
+    console.error(`❌ Collector last-seen update failed:`, err.message),
+  );
+}
+
+// API key → { id, name, machines } or null
+async function findCollectorByKey(key) {
+  const prefix = keyPrefixOf(key);
+  if (!prefix) return null;
+
+  const entry = (await getCollectorKeys()).get(prefix);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt < new Date()) return null;
+
+  const given = Buffer.from(sha256(key), "hex");
+  if (!crypto.timingSafeEqual(Buffer.from(entry.hash, "hex"), given)) {
+    return null;
+  }
+
+  touch(entry.collector);
+  return {
+    id: entry.collector._id.toString(),
+    name: entry.collector.name,
+    machines: entry.collector.machines,
+  };
+}
+
+/* ---------- admin operations ---------- */
+
+async function createCollector(fields) {
+  const { key, keyPrefix, keyHash } = generateKey();
+  const collector = await Collector.create({ ...fields, keyPrefix, keyHash });
+  invalidateCollectors();
+  return { collector, key };
+}
+
+// New key; the old one keeps working for `graceMinutes` (0 = invalid now).
+// Also re-enables a revoked collector with the fresh key.
+async function rotateCollectorKey(id, graceMinutes = 0) {
+  const current = await Collector.findById(id).select("+keyHash");
+  if (!current) return null;
+
+  const { key, keyPrefix, keyHash } = generateKey();
+  const grace = graceMinutes > 0 && current.active;
+  current.set({
+    keyPrefix,
+    keyHash,
+    previousKeyPrefix: grace ? current.keyPrefix : null,
+    previousKeyHash: grace ? current.keyHash : null,
+    previousKeyExpiresAt: grace
+      ? new Date(Date.now() + graceMinutes * 60000)
+      : null,
+    active: true,
+    revokedAt: null,
+    rotatedAt: new Date(),
+  });
+  await current.save();
+  invalidateCollectors();
+  return { collector: current, key };
+}
+
+async function revokeCollector(id) {
+  const collector = await Collector.findByIdAndUpdate(
+    id,
+    {
+      $set: {
+        active: false,
+        revokedAt: new Date(),
+        previousKeyPrefix: null,
+        previousKeyHash: null,
+        previousKeyExpiresAt: null,
+      },
+    },
+    { new: true },
+  );
+  invalidateCollectors();
+  return collector;
+}
+
+module.exports = {
+  findCollectorByKey,
+  invalidateCollectors,
+  createCollector,
+  rotateCollectorKey,
+  revokeCollector,
+};
@@ -0,0 +1,232 @@
+const MachineData = require("../models/machineData");
+const DowntimeEvent = require("../models/DowntimeEvent");
+const ReasonCode = require("../models/ReasonCode");
+const { getRegistry } = require("./machineRegistry");
+
+/* =========================================================
+   🛑 DOWNTIME EVENTS (built from MachineData transitions)
+   ========================================================= */
+
+const DEFAULT_REASON_CODES = [
+  { code: "NEEDLE_BREAK", label: "Needle break", category: "Mechanical" },
+  { code: "THREAD_CHANGE", label: "Thread change", category: "Material" },
+  { code: "NO_MATERIAL", label: "No material", category: "Material" },
+  { code: "POWER_CUT", label: "Power cut", category: "Utilities" },
+  { code: "MAINTENANCE", label: "Maintenance", category: "Mechanical" },
+  { code: "OTHER", label: "Other", category: null },
+];
+
+async function seedReasonCodes() {
+  if ((await ReasonCode.countDocuments({})) > 0) return;
+  await ReasonCode.insertMany(DEFAULT_REASON_CODES);
+  console.log(`🛑 Seeded ${DEFAULT_REASON_CODES.length} downtime reason codes`);
+}
+
+// Rebuilds the events of one machine that overlap [from, to]. Scanning
+// starts at the last non-DOWNTIME record before `from` so a run already in
+// progress is picked up from its real start.
+async function syncMachineEvents(machineName, from, to = from) {
+  const anchor = await MachineData.findOne({
+    machineName,
+    status: { $ne: "DOWNTIME" },
+    timestamp: { $lt: from },
+  })
+    .sort({ timestamp: -1 })
+    .select({ timestamp: 1 })
+    .lean();
+  const scanFrom = anchor ? anchor.timestamp : new Date(0);
+
+  const cursor = MachineData.find({
+    machineName,
+    timestamp: { $gte: scanFrom },
+  })
+    .sort({ timestamp: 1 })
+    .select({ timestamp: 1, status: 1, shift: 1 })
+    .lean()
+    .cursor();
+
+  const runs = [];
+  let run = null;
+  let scanTo = null;
+
+  for await (const doc of cursor) {
+    scanTo = doc.timestamp;
+    if (doc.status === "DOWNTIME") {
+      if (!run) run = { start: doc, end: null };
+      continue;
+    }
+    if (run) {
+      run.end = doc;
+      runs.push(run);
+      run = null;
+    }
+    if (doc.timestamp > to) break;
+  }
+  await cursor.close();
+  if (run) runs.push(run); // still in DOWNTIME
+
+  if (!scanTo) return 0;
+
+  const machine = (await getRegistry()).get(machineName) || {};
+  const now = new Date();
+
+  if (runs.length) {
+    await DowntimeEvent.bulkWrite(
+      runs.map((r) => {
+        const endedAt = r.end ? r.end.timestamp : null;
+        return {
+          updateOne: {
+            filter: { machineName, startedAt: r.start.timestamp },
+            update: {
+              $set: {
+                endedAt,
+                endRecord: r.end ? r.end._id : null,
+                durationSeconds: Math.round(
+                  ((endedAt || now) - r.start.timestamp) / 1000,
+                ),
+              },
+              $setOnInsert: {
+                startRecord: r.start._id,
+                shift: r.start.shift,
+                line: machine.line || null,
+              },
+            },
+            upsert: true,
+          },
+        };
+      }),
+      { ordered: false },
+    );
+  }
+
+  // Runs that no longer exist (late data split/merged them); explained
+  // events are kept so operator input is never lost
+  await DowntimeEvent.deleteMany({
+    machineName,
+    startedAt: {
+      $gte: scanFrom,
+      $lte: scanTo,
+      $nin: runs.map((r) => r.start.timestamp),
+    },
+    reasonCode: null,
+  });
+
+  return runs.length;
+}
+
+// Called after inserts: inserted = [{ machineName, timestamp }]
+async function syncDowntimeEvents(inserted) {
+  const ranges = new Map();
+  inserted.forEach(({ machineName, timestamp }) => {
+    const r = ranges.get(machineName);
+    if (!r) return ranges.set(machineName, { from: timestamp, to: timestamp });
+    if (timestamp < r.from) r.from = timestamp;
+    if (timestamp > r.to) r.to = timestamp;
+  });
+
+  for (const [machineName, { from, to }] of ranges) {
+    try {
+      await syncMachineEvents(machineName, from, to);
+    } catch (err) {
+      console.error(
+        `❌ Downtime event sync failed for ${machineName}:`,
+        err.message,
+      );
+    }
+  }
+}
+
+// Backfill: rebuild events for every machine with data in [from, to]
+async function rebuildDowntimeEvents({ machine, from, to }) {
+  const machines = machine
+    ? [machine]
+    : await MachineData.distinct("machineName", {
+        timestamp: { $gte: from, $lte: to },
+      });
+
+  let events = 0;
+  for (const machineName of machines) {
+    events += await syncMachineEvents(machineName, from, to);
+  }
+
+  console.log(
+    `🛑 Downtime events rebuilt: ${machines.length} machines, ${events} events`,
+  );
+  return { machines: machines.length, events };
+}
+
+// Downtime minutes by reason, optionally per shift / line, with the
+// cumulative share used for Pareto charts
+async function paretoReport({ from, to, groupBy, line, shift, machines }) {
+  const match = { startedAt: { $gte: from, $lte: to } };
+  if (line) match.line = line;
+  if (shift) match.shift = shift;
+  if (machines) match.machineName = { $in: machines };
+
+  const rows = await DowntimeEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          group: groupBy ? `$${groupBy}` : null,
+          reason: { $ifNull: ["$reasonCode", "UNASSIGNED"] },
+        },
+        events: { $sum: 1 },
+        seconds: {
+          $sum: {
+            $divide: [
+              { $subtract: [{ $ifNull: ["$endedAt", "$$NOW"] }, "$startedAt"] },
+              1000,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const labels = new Map(
+    (await ReasonCode.find({}).lean()).map((r) => [r.code, r.label]),
+  );
+
+  const groups = new Map();
+  rows.forEach((r) => {
+    const key = r._id.group || (groupBy ? "Unassigned" : "All");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([group, reasons]) => {
+      const total = reasons.reduce((sum, r) => sum + r.seconds, 0);
+      let cumulative = 0;
+
+      return {
+        group,
+        totalMinutes: Math.round(total / 6) / 10,
+        reasons: reasons
+          .sort((a, b) => b.seconds - a.seconds)
+          .map((r) => {
+            cumulative += r.seconds;
+            return {
+              reasonCode: r._id.reason,
+              label: labels.get(r._id.reason) || r._id.reason,
+              events: r.events,
+              minutes: Math.round(r.seconds / 6) / 10,
+              percent: total ? Math.round((r.seconds / total) * 1000) / 10 : 0,
+              cumulativePercent: total
+                ? Math.round((cumulative / total) * 1000) / 10
+                : 0,
+            };
+          }),
+      };
+    });
+}
+
+module.exports = {
+  seedReasonCodes,
+  syncMachineEvents,
+  syncDowntimeEvents,
+  rebuildDowntimeEvents,
+  paretoReport,
+};
@@ -0,0 +1,122 @@
+const MachineData = require("../models/machineData");
+
+/* =========================================================
+   ⏱️ STATE DURATION RECONSTRUCTION
+   ========================================================= */
+
+// durationSeconds = time until the machine's next record, maintained by
+// the server. The latest record stays open (0) until the next one arrives,
+// so per-machine totals add up to wall-clock time.
+
+const BULK_SIZE = 500;
+
+// Recomputes durations for one machine around [from, to]: the record
+// before `from` (whose next record may have changed) through the first
+// record after `to`.
+async function recomputeDurations(machineName, from, to = from) {
+  const prev = await MachineData.findOne({
+    machineName,
+    timestamp: { $lt: from },
+  })
+    .sort({ timestamp: -1 })
+    .select({ timestamp: 1 })
+    .lean();
+
+  const cursor = MachineData.find({
+    machineName,
+    timestamp: { $gte: prev ? prev.timestamp : from },
+  })
+    .sort({ timestamp: 1 })
+    .select({ timestamp: 1, durationSeconds: 1 })
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+  let last = null;
+  let exhausted = true;
+
+  const setDuration = async (doc, seconds) => {
+    if (doc.durationSeconds === seconds) return;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { durationSeconds: seconds } },
+      },
+    });
+    if (ops.length >= BULK_SIZE) {
+      updated += (await MachineData.bulkWrite(ops, { ordered: false }))
+        .modifiedCount;
+      ops = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    if (last) {
+      await setDuration(last, (doc.timestamp - last.timestamp) / 1000);
+    }
+    last = doc;
+    // Record after the range only serves as the "next" of the last one
+    if (doc.timestamp > to) {
+      exhausted = false;
+      break;
+    }
+  }
+  await cursor.close();
+
+  // Latest record for the machine: still open
+  if (last && exhausted) await setDuration(last, 0);
+
+  if (ops.length) {
+    updated += (await MachineData.bulkWrite(ops, { ordered: false }))
+      .modifiedCount;
+  }
+  return updated;
+}
+
+// Called after inserts: inserted = [{ machineName, timestamp }]
+async function closeDurations(inserted) {
+  const ranges = new Map();
+  inserted.forEach(({ machineName, timestamp }) => {
+    const r = ranges.get(machineName);
+    if (!r) return ranges.set(machineName, { from: timestamp, to: timestamp });
+    if (timestamp < r.from) r.from = timestamp;
+    if (timestamp > r.to) r.to = timestamp;
+  });
+
+  let updated = 0;
+  for (const [machineName, { from, to }] of ranges) {
+    try {
+      updated += await recomputeDurations(machineName, from, to);
+    } catch (err) {
+      console.error(
+        `❌ Duration update failed for ${machineName}:`,
+        err.message,
+      );
+    }
+  }
+  return updated;
+}
+
+// Repair job: recompute every duration in [from, to] (all machines
+// unless `machine` is given)
+async function repairDurations({ machine, from, to }) {
+  const q = { timestamp: { $gte: from, $lte: to } };
+  const machines = machine
+    ? [machine]
+    : await MachineData.distinct("machineName", q);
+
+  let updated = 0;
+  for (const machineName of machines) {
+    const count = await recomputeDurations(machineName, from, to);
+    if (count) console.log(`  ⏱️ ${machineName}: ${count} durations fixed`);
+    updated += count;
+  }
+
+  console.log(
+    `⏱️ Duration repair done: ${machines.length} machines, ${updated} records updated`,
+  );
+  return { machines: machines.length, updated };
+}
+
+module.exports = { recomputeDurations, closeDurations, repairDurations };
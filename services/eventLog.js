@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+
+/* =========================================================
+   🔢 LIVE EVENT SEQUENCE NUMBERS & REPLAY BUFFER
+   =========================================================
+   Every broadcast gets the next sequence number and is kept in a
+   bounded buffer, so a client that reconnects with the last number it
+   saw can be sent what it missed. Numbers restart with the server, so
+   they are only meaningful together with STREAM_ID.
+*/
+
+const BUFFER_SIZE = parseInt(process.env.WS_REPLAY_EVENTS) || 1000;
+const STREAM_ID = crypto.randomBytes(6).toString("hex");
+
+// Oldest first: { seq, payload }
+const buffer = [];
+let seq = 0;
+
+// Stamps the payload with the next sequence number (on every item for
+// array payloads) and buffers it → the stamped payload
+function recordEvent(payload) {
+  seq++;
+  const stamped = Array.isArray(payload)
+    ? payload.map((p) => ({ ...p, seq }))
+    : { ...payload, seq };
+
+  buffer.push({ seq, payload: stamped });
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  return stamped;
+}
+
+function currentSeq() {
+  return seq;
+}
+
+// Payloads after lastSeq → { events } or { reason } when they cannot be
+// replayed and the client needs a fresh snapshot instead
+function eventsSince(lastSeq, stream) {
+  if (stream && stream !== STREAM_ID) return { reason: "server_restarted" };
+  if (lastSeq > seq) return { reason: "unknown_seq" };
+
+  const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+  if (lastSeq + 1 < oldest) return { reason: "gap_too_large" };
+
+  return {
+    events: buffer.filter((e) => e.seq > lastSeq).map((e) => e.payload),
+  };
+}
+
+function getEventLogStats() {
+  return {
+    stream: STREAM_ID,
+    seq,
+    buffered: buffer.length,
+    oldestSeq: buffer.length > 0 ? buffer[0].seq : null,
+    bufferSize: BUFFER_SIZE,
+  };
+}
+
+module.exports = {
+  STREAM_ID,
+  recordEvent,
+  currentSeq,
+  eventsSince,
+  getEventLogStats,
+};
@@ -0,0 +1,395 @@
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { Transform: CsvTransform } = require("json2csv");
+const ExcelJS = require("exceljs");
+const MachineData = require("../models/machineData");
+const { computeOEE } = require("./analytics");
+const { getRegistry } = require("./machineRegistry");
+const { parseToUTC, formatLocal, wallClockDate } = require("../utils/time");
+
+/* =========================================================
+   📤 STREAMING EXPORT (cursor → rows → CSV / NDJSON / JSON)
+   ========================================================= */
+
+const EXPORT_FORMATS = ["csv", "ndjson", "json", "xlsx"];
+
+const EXPORT_COLUMNS = [
+  "timestamp",
+  "timestampLocal",
+  "machineName",
+  "status",
+  "machinePower",
+  "downtime",
+  "shift",
+  "durationSeconds",
+  "pieceCount",
+  "rejectCount",
+  "createdAt",
+  "updatedAt",
+  "_id",
+];
+
+const DEFAULT_COLUMNS = [
+  "timestamp",
+  "timestampLocal",
+  "machineName",
+  "status",
+  "machinePower",
+  "downtime",
+  "shift",
+  "durationSeconds",
+];
+
+const CONTENT_TYPES = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  json: "application/json",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const CURSOR_BATCH_SIZE = 1000;
+
+// ?columns=a,b,c → list of known columns (default set when omitted)
+function parseColumns(value) {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+
+  const columns = String(value)
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((c) => !EXPORT_COLUMNS.includes(c));
+  if (unknown.length || !columns.length) {
+    return {
+      error: `Unknown columns: ${unknown.join(",") || "none given"} (allowed: ${EXPORT_COLUMNS})`,
+    };
+  }
+  return { columns: [...new Set(columns)] };
+}
+
+// Same machine/from/to filter the export has always taken
+function exportQuery({ machine, from, to }, timeZone) {
+  const q = {};
+  if (machine) q.machineName = machine;
+  if (from || to) {
+    q.timestamp = {};
+    if (from) q.timestamp.$gte = parseToUTC(from, timeZone);
+    if (to) q.timestamp.$lte = parseToUTC(to, timeZone);
+  }
+  return q;
+}
+
+function exportCursor(q, columns) {
+  const projection = { _id: 1 };
+  columns.forEach((c) => {
+    if (c !== "timestampLocal") projection[c] = 1;
+  });
+  if (columns.includes("timestampLocal")) projection.timestamp = 1;
+
+  return MachineData.find(q)
+    .sort({ timestamp: 1 })
+    .select(projection)
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+}
+
+function toRow(doc, columns, timeZone) {
+  const row = {};
+  columns.forEach((c) => {
+    if (c === "timestampLocal") row[c] = formatLocal(doc.timestamp, timeZone);
+    else if (c === "_id") row[c] = doc._id.toString();
+    else if (doc[c] instanceof Date) row[c] = doc[c].toISOString();
+    else row[c] = doc[c] === undefined ? null : doc[c];
+  });
+  return row;
+}
+
+function rowMapper(columns, timeZone) {
+  return new Transform({
+    objectMode: true,
+    transform(doc, _, done) {
+      done(null, toRow(doc, columns, timeZone));
+    },
+  });
+}
+
+function serializer(format, columns) {
+  if (format === "csv") {
+    return new CsvTransform({ fields: columns }, { objectMode: true });
+  }
+
+  if (format === "ndjson") {
+    return new Transform({
+      writableObjectMode: true,
+      transform(row, _, done) {
+        done(null, `${JSON.stringify(row)}\n`);
+      },
+    });
+  }
+
+  // json: one array, written element by element
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, _, done) {
+      done(null, `${first ? "[" : ","}\n${JSON.stringify(row)}`);
+      first = false;
+    },
+    flush(done) {
+      done(null, first ? "[]\n" : "\n]\n");
+    },
+  });
+}
+
+// Streams the matching records to `res`; memory stays at one cursor batch
+// whatever the range. Returns the number of rows written.
+async function streamExport(res, { q, format, columns, timeZone }) {
+  let rows = 0;
+  const cursor = exportCursor(q, columns);
+  const counter = new Transform({
+    objectMode: true,
+    transform(row, _, done) {
+      rows++;
+      done(null, row);
+    },
+  });
+
+  res.header("Content-Type", CONTENT_TYPES[format]);
+  res.attachment(
+    `machine-data-${new Date().toISOString().slice(0, 10)}.${format}`,
+  );
+
+  await pipeline(
+    cursor,
+    rowMapper(columns, timeZone),
+    counter,
+    serializer(format, columns),
+    res,
+  );
+  return rows;
+}
+
+/* =========================================================
+   📗 XLSX EXPORT (one sheet per machine + per-shift summary)
+   ========================================================= */
+
+const DATE_FORMAT = "yyyy-mm-dd hh:mm:ss";
+const DURATION_FORMAT = "[h]:mm:ss";
+const SECONDS_PER_DAY = 86400;
+
+// Excel sheet names: max 31 chars, no []:*?/\, unique per workbook
+function sheetNameFor(name, used) {
+  const base =
+    String(name)
+      .replace(/[[\]:*?/\\]/g, "_")
+      .slice(0, 31) || "_";
+  let sheetName = base;
+  for (let i = 2; used.has(sheetName.toLowerCase()); i++) {
+    sheetName = `${base.slice(0, 31 - String(i).length - 1)}~${i}`;
+  }
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+function styleHeader(sheet) {
+  sheet.getRow(1).font = { bold: true };
+}
+
+async function writeMachineSheet(workbook, sheetName, q, timeZone) {
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = [
+    { header: "Time", key: "time", width: 20, style: { numFmt: DATE_FORMAT } },
+    { header: "Status", key: "status", width: 12 },
+    { header: "Shift", key: "shift", width: 12 },
+    {
+      header: "Duration",
+      key: "duration",
+      width: 12,
+      style: { numFmt: DURATION_FORMAT },
+    },
+    { header: "Pieces", key: "pieces", width: 10 },
+    { header: "Rejects", key: "rejects", width: 10 },
+  ];
+  styleHeader(sheet);
+
+  const cursor = exportCursor(q, [
+    "timestamp",
+    "status",
+    "shift",
+    "durationSeconds",
+    "pieceCount",
+    "rejectCount",
+  ]);
+  let rows = 0;
+  for await (const doc of cursor) {
+    sheet
+      .addRow({
+        time: wallClockDate(doc.timestamp, timeZone),
+        status: doc.status,
+        shift: doc.shift,
+        duration: (doc.durationSeconds || 0) / SECONDS_PER_DAY,
+        pieces: doc.pieceCount,
+        rejects: doc.rejectCount,
+      })
+      .commit();
+    rows++;
+  }
+  await sheet.commit();
+  return rows;
+}
+
+// Runtime / downtime per shift, summed over the exported machines
+async function shiftTotals({ machines, from, to, timeZone }) {
+  const perShift = new Map();
+  const results = await computeOEE({
+    machines,
+    from,
+    to,
+    groupBy: "shift",
+    timeZone,
+  });
+
+  results.forEach((m) =>
+    m.buckets.forEach((b) => {
+      if (!perShift.has(b.bucket)) {
+        perShift.set(b.bucket, {
+          date: b.date,
+          shift: b.shift,
+          start: b.start,
+          end: b.end,
+          machines: 0,
+          runtimeSeconds: 0,
+          downtimeSeconds: 0,
+          offSeconds: 0,
+        });
+      }
+      const t = perShift.get(b.bucket);
+      t.machines++;
+      t.runtimeSeconds += b.runtimeSeconds;
+      t.downtimeSeconds += b.downtimeSeconds;
+      t.offSeconds += b.offSeconds;
+      // Per-line calendars can give the same key different bounds
+      if (b.start < t.start) t.start = b.start;
+      if (b.end > t.end) t.end = b.end;
+    }),
+  );
+
+  return [...perShift.values()].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function writeSummarySheet(sheet, totals, timeZone) {
+  sheet.columns = [
+    { header: "Date", key: "date", width: 12 },
+    { header: "Shift", key: "shift", width: 12 },
+    {
+      header: "Start",
+      key: "start",
+      width: 20,
+      style: { numFmt: DATE_FORMAT },
+    },
+    { header: "End", key: "end", width: 20, style: { numFmt: DATE_FORMAT } },
+    { header: "Machines", key: "machines", width: 10 },
+    {
+      header: "Runtime",
+      key: "runtime",
+      width: 12,
+      style: { numFmt: DURATION_FORMAT },
+    },
+    {
+      header: "Downtime",
+      key: "downtime",
+      width: 12,
+      style: { numFmt: DURATION_FORMAT },
+    },
+    {
+      header: "Off",
+      key: "off",
+      width: 12,
+      style: { numFmt: DURATION_FORMAT },
+    },
+    {
+      header: "Availability",
+      key: "availability",
+      width: 12,
+      style: { numFmt: "0.0%" },
+    },
+  ];
+  styleHeader(sheet);
+
+  totals.forEach((t) => {
+    const planned = t.runtimeSeconds + t.downtimeSeconds;
+    sheet
+      .addRow({
+        date: t.date,
+        shift: t.shift,
+        start: wallClockDate(t.start, timeZone),
+        end: wallClockDate(t.end, timeZone),
+        machines: t.machines,
+        runtime: t.runtimeSeconds / SECONDS_PER_DAY,
+        downtime: t.downtimeSeconds / SECONDS_PER_DAY,
+        off: t.offSeconds / SECONDS_PER_DAY,
+        availability: planned > 0 ? t.runtimeSeconds / planned : null,
+      })
+      .commit();
+  });
+}
+
+// Streams a workbook to `res`: "Summary" first, then one sheet per machine
+// (times in `timeZone` as real date cells). Returns the number of rows.
+async function streamXlsx(res, { q, timeZone }) {
+  const machines = (await MachineData.distinct("machineName", q)).sort();
+  const registry = await getRegistry();
+
+  // Summary window: the requested range, else the span of the data
+  const from =
+    (q.timestamp && q.timestamp.$gte) ||
+    (await MachineData.findOne(q).sort({ timestamp: 1 }).lean()).timestamp;
+  const to = (q.timestamp && q.timestamp.$lte) || new Date();
+
+  res.header("Content-Type", CONTENT_TYPES.xlsx);
+  res.attachment(`machine-data-${new Date().toISOString().slice(0, 10)}.xlsx`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  workbook.created = new Date();
+
+  // Each sheet buffers until it is committed, so Summary is written and
+  // committed in full before the machine sheets start streaming
+  const used = new Set();
+  const summary = workbook.addWorksheet(sheetNameFor("Summary", used), {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  writeSummarySheet(
+    summary,
+    await shiftTotals({ machines, from, to, timeZone }),
+    timeZone,
+  );
+  await summary.commit();
+
+  let rows = 0;
+  for (const machine of machines) {
+    const label = (registry.get(machine) || {}).displayName || machine;
+    rows += await writeMachineSheet(
+      workbook,
+      sheetNameFor(label, used),
+      { ...q, machineName: machine },
+      timeZone,
+    );
+  }
+
+  await workbook.commit();
+  return rows;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  exportQuery,
+  streamExport,
+  streamXlsx,
+};
@@ -0,0 +1,198 @@
+const MachineData = require("../models/machineData");
+const { parseToUTC } = require("../utils/time");
+const { getShiftResolver } = require("./shiftCalendar");
+const { getRegistry } = require("./machineRegistry");
+const { getMachineTimeZoneResolver } = require("./sites");
+
+/* =========================================================
+   💾 MACHINE DATA BULK WRITES
+   ========================================================= */
+
+// Upserts per bulkWrite round trip
+const BULK_SIZE = parseInt(process.env.INGEST_BULK_SIZE) || 1000;
+
+// Running totals since start, reported by /health
+const totals = {
+  batches: 0,
+  items: 0,
+  inserted: 0,
+  duplicates: 0,
+  failed: 0,
+  lastBatch: null,
+};
+
+function orderedByDefault() {
+  return process.env.INGEST_ORDERED === "true";
+}
+
+// Item → { doc, op }: an upsert that only inserts when no record exists for
+// the machine at that exact timestamp, or null when the item cannot be stored
+function toUpsert(item, { tzFor, shifts, registry, collector }) {
+  const {
+    timestamp,
+    machine,
+    status,
+    durationSeconds = 0,
+    shift = null,
+    pieceCount = null,
+    rejectCount = null,
+  } = item;
+  // durationSeconds is only kept until the next record closes it
+  // (see services/durations.js)
+
+  const tsUTC = parseToUTC(timestamp, tzFor(machine));
+  if (!tsUTC || !machine) return null;
+
+  const doc = {
+    timestamp: tsUTC,
+    machineName: machine,
+    status: status || "UNKNOWN",
+    machinePower: status === "RUNNING" || status === "DOWNTIME",
+    downtime: status === "DOWNTIME",
+    shift: shift || shifts.shiftAt(tsUTC, (registry.get(machine) || {}).line),
+    durationSeconds,
+    pieceCount,
+    rejectCount,
+    collector: collector ? collector.id : null,
+  };
+
+  return {
+    doc,
+    op: {
+      updateOne: {
+        filter: { machineName: machine, timestamp: tsUTC },
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    },
+  };
+}
+
+// Runs ops through bulkWrite → { outcomes, ids } with one outcome per op:
+// "inserted", "duplicate" (matched an existing record or hit the unique
+// index) or an Error, and the new record's _id for inserted ops.
+// Ordered writes resume after a failed op, so one duplicate does not
+// stop the rest of the chunk. Errors that are not about a single op
+// (connection lost, ...) are thrown: upserts are safe to retry.
+async function bulkUpsert(ops, ordered) {
+  const outcomes = new Array(ops.length).fill(null);
+  const ids = new Array(ops.length).fill(null);
+  let start = 0;
+
+  while (start < ops.length) {
+    const slice = ops.slice(start);
+    let result;
+    let writeErrors = [];
+    try {
+      result = await MachineData.bulkWrite(slice, { ordered });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      result = err.result;
+      writeErrors = [].concat(err.writeErrors);
+    }
+
+    const upserted = (result && result.upsertedIds) || {};
+    const failedAt = new Map(writeErrors.map((e) => [e.index, e]));
+    const lastFailed =
+      ordered && writeErrors.length ? writeErrors[0].index : -1;
+    const processed = lastFailed >= 0 ? lastFailed + 1 : slice.length;
+
+    for (let i = 0; i < processed; i++) {
+      const writeError = failedAt.get(i);
+      if (writeError) {
+        outcomes[start + i] =
+          writeError.code === 11000
+            ? "duplicate"
+            : new Error(writeError.errmsg || "Write failed");
+      } else if (upserted[i] !== undefined) {
+        outcomes[start + i] = "inserted";
+        ids[start + i] = upserted[i];
+      } else {
+        outcomes[start + i] = "duplicate";
+      }
+    }
+    start += processed;
+  }
+
+  return { outcomes, ids };
+}
+
+// Stores machine-data items (already validated and de-duplicated in memory).
+// → { saved, existing, results, throughput } with results[i] = { status,
+// reason?, message? } for items[i], saved = the inserted documents and
+// existing = the ones already stored.
+async function writeMachineData(
+  items,
+  { collector = null, ordered = orderedByDefault() } = {},
+) {
+  const startedAt = Date.now();
+  const context = {
+    tzFor: await getMachineTimeZoneResolver(),
+    shifts: await getShiftResolver(),
+    registry: await getRegistry(),
+    collector,
+  };
+
+  const results = new Array(items.length);
+  const saved = [];
+  const existing = [];
+  const pending = [];
+  items.forEach((item, index) => {
+    const upsert = toUpsert(item, context);
+    if (upsert) pending.push({ index, ...upsert });
+    else results[index] = { status: "rejected", reason: "INVALID_ITEM" };
+  });
+
+  for (let from = 0; from < pending.length; from += BULK_SIZE) {
+    const chunk = pending.slice(from, from + BULK_SIZE);
+    const { outcomes, ids } = await bulkUpsert(
+      chunk.map((p) => p.op),
+      ordered,
+    );
+
+    outcomes.forEach((outcome, i) => {
+      const { index, doc } = chunk[i];
+      if (outcome === "inserted") {
+        results[index] = { status: "accepted" };
+        // The upsert only sent $setOnInsert, the _id comes from the result
+        saved.push({ _id: ids[i], ...doc });
+      } else if (outcome === "duplicate") {
+        results[index] = { status: "duplicate" };
+        existing.push(doc);
+      } else {
+        results[index] = {
+          status: "rejected",
+          reason: "SAVE_FAILED",
+          message: outcome.message,
+        };
+      }
+    });
+  }
+
+  const ms = Date.now() - startedAt;
+  const throughput = {
+    items: items.length,
+    ms,
+    itemsPerSecond: ms > 0 ? Math.round((items.length * 1000) / ms) : null,
+    ordered,
+  };
+
+  const failed = results.filter((r) => r.status === "rejected").length;
+  totals.batches++;
+  totals.items += items.length;
+  totals.inserted += saved.length;
+  totals.duplicates += items.length - saved.length - failed;
+  totals.failed += failed;
+  totals.lastBatch = { ...throughput, at: new Date().toISOString() };
+
+  console.log(
+    `⚡ Wrote ${items.length} items in ${ms} ms (${throughput.itemsPerSecond ?? "-"} items/s): ${saved.length} new, ${failed} failed`,
+  );
+  return { saved, existing, results, throughput };
+}
+
+function getIngestStats() {
+  return { ...totals, bulkSize: BULK_SIZE, ordered: orderedByDefault() };
+}
+
+module.exports = { BULK_SIZE, toUpsert, writeMachineData, getIngestStats };
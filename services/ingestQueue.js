@@ -0,0 +1,290 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+/* =========================================================
+   📮 INGESTION QUEUE (on-disk write-ahead log)
+   =========================================================
+   Every accepted batch is written to its own file before it is
+   processed and deleted once it is in Mongo. When Mongo is down (or
+   older batches are still waiting) batches stay on disk and a
+   background worker replays them oldest first, retrying with backoff.
+*/
+
+const QUEUE_DIR =
+  process.env.INGEST_QUEUE_DIR || path.join(__dirname, "..", "ingest-queue");
+// Batches that kept failing with Mongo up, kept for inspection
+const FAILED_DIR = path.join(QUEUE_DIR, "failed");
+
+const MAX_BATCHES = parseInt(process.env.INGEST_QUEUE_MAX_BATCHES) || 500;
+const MAX_ITEMS = parseInt(process.env.INGEST_QUEUE_MAX_ITEMS) || 100000;
+const MAX_ATTEMPTS = parseInt(process.env.INGEST_QUEUE_MAX_ATTEMPTS) || 10;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// Oldest first: { id, file, source, count, receivedAt, attempts, busy,
+// retry } (retry: an earlier attempt may have written part of the batch)
+const entries = [];
+let queuedItems = 0;
+let handlers = {};
+let timer = null;
+let draining = false;
+let retryDelay = RETRY_BASE_MS;
+let nextRetryAt = null;
+let seq = 0;
+let failedBatches = 0;
+let lastError = null;
+let ready = null; // startIngestQueue() has loaded the queue directory
+
+function mongoReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Write to a temp file, fsync, then rename: a crash never leaves half a batch
+async function writeDurably(file, data) {
+  const tmp = `${file}.tmp`;
+  const handle = await fs.promises.open(tmp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+function schedule(delayMs) {
+  if (timer) clearTimeout(timer);
+  nextRetryAt = delayMs > 0 ? new Date(Date.now() + delayMs) : null;
+  timer = setTimeout(drain, delayMs);
+  timer.unref();
+}
+
+function removeEntry(entry) {
+  const i = entries.indexOf(entry);
+  if (i !== -1) entries.splice(i, 1);
+  queuedItems -= entry.count;
+}
+
+/* ---------- capacity ---------- */
+
+function hasRoom(count) {
+  return entries.length < MAX_BATCHES && queuedItems + count <= MAX_ITEMS;
+}
+
+// Retry-After for a full queue: about when the worker tries again
+function retryAfterSeconds() {
+  const wait = nextRetryAt ? nextRetryAt - Date.now() : retryDelay;
+  return Math.max(1, Math.ceil(wait / 1000));
+}
+
+/* ---------- processing ---------- */
+
+async function processEntry(entry) {
+  entry.busy = true;
+  try {
+    const batch = JSON.parse(await fs.promises.readFile(entry.file, "utf8"));
+    const handler = handlers[batch.source];
+    if (!handler) throw new Error(`No handler for ${batch.source} batches`);
+
+    const result = await handler(batch, { retry: entry.retry });
+    await fs.promises.unlink(entry.file);
+    removeEntry(entry);
+    retryDelay = RETRY_BASE_MS;
+    return result;
+  } finally {
+    entry.busy = false;
+  }
+}
+
+async function recordFailure(entry, err) {
+  entry.retry = true;
+  lastError = { batch: entry.id, message: err.message, at: new Date() };
+  retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+
+  // Failures while Mongo is down are expected; only count the others
+  if (!mongoReady()) {
+    console.warn(`📮 Batch ${entry.id} waiting for MongoDB: ${err.message}`);
+    return;
+  }
+
+  entry.attempts++;
+  if (entry.attempts < MAX_ATTEMPTS) {
+    console.warn(
+      `📮 Batch ${entry.id} failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}): ${err.message}`,
+    );
+    return;
+  }
+
+  try {
+    await fs.promises.rename(
+      entry.file,
+      path.join(FAILED_DIR, path.basename(entry.file)),
+    );
+    removeEntry(entry);
+    failedBatches++;
+    console.error(
+      `❌ Batch ${entry.id} moved to ${FAILED_DIR} after ${entry.attempts} attempts: ${err.message}`,
+    );
+  } catch (moveErr) {
+    console.error(`❌ Could not move failed batch ${entry.id}:`, moveErr);
+  }
+}
+
+// Replays queued batches oldest first; stops at the first failure so
+// batches are always written in the order they arrived
+async function drain() {
+  timer = null;
+  nextRetryAt = null;
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (entries.length > 0) {
+      const entry = entries[0];
+      // Being written inline by submit(), which reschedules when done
+      if (entry.busy) break;
+      if (!mongoReady()) {
+        schedule(retryDelay);
+        break;
+      }
+
+      try {
+        await processEntry(entry);
+        console.log(
+          `📮 Replayed queued batch ${entry.id} (${entry.count} items, ${entries.length} batches left)`,
+        );
+      } catch (err) {
+        await recordFailure(entry, err);
+        schedule(retryDelay);
+        break;
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/* ---------- public API ---------- */
+
+// Writes the batch to disk first. With nothing waiting and Mongo up it is
+// processed right away → { processed: true, result }; otherwise it waits
+// for the worker → { queued: true, id }.
+async function submit(batch) {
+  await ready;
+  // Batches already being written inline do not make this one wait
+  const wasIdle = entries.every((e) => e.busy);
+  const receivedAt = new Date();
+  const id = `${receivedAt.getTime()}-${String(seq++).padStart(6, "0")}`;
+  const file = path.join(QUEUE_DIR, `${id}.json`);
+  await writeDurably(file, JSON.stringify({ id, receivedAt, ...batch }));
+
+  const entry = {
+    id,
+    file,
+    source: batch.source,
+    count: batch.items.length,
+    receivedAt,
+    attempts: 0,
+    busy: false,
+    retry: false,
+  };
+  entries.push(entry);
+  queuedItems += entry.count;
+
+  if (wasIdle && mongoReady()) {
+    try {
+      const result = await processEntry(entry);
+      if (entries.length > 0) schedule(0);
+      return { processed: true, result };
+    } catch (err) {
+      await recordFailure(entry, err);
+      schedule(retryDelay);
+      return { queued: true, id };
+    }
+  }
+
+  console.log(
+    `📮 Queued ${batch.source} batch ${id} (${entry.count} items, ${entries.length} batches waiting)`,
+  );
+  if (!timer && !draining) schedule(0);
+  return { queued: true, id };
+}
+
+// Batches left on disk by a previous run are replayed first
+async function loadQueue() {
+  await fs.promises.mkdir(FAILED_DIR, { recursive: true });
+
+  const files = (await fs.promises.readdir(QUEUE_DIR)).sort();
+  for (const name of files) {
+    const file = path.join(QUEUE_DIR, name);
+    if (name.endsWith(".tmp")) {
+      // Crashed mid-write: the request never got a 2xx, the collector resends
+      await fs.promises.unlink(file);
+      continue;
+    }
+    if (!name.endsWith(".json")) continue;
+
+    try {
+      const batch = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      entries.push({
+        id: batch.id,
+        file,
+        source: batch.source,
+        count: batch.items.length,
+        receivedAt: new Date(batch.receivedAt),
+        attempts: 0,
+        busy: false,
+        // Possibly cut off mid-write by the restart
+        retry: true,
+      });
+      queuedItems += batch.items.length;
+    } catch (err) {
+      console.error(`❌ Unreadable queued batch ${name}:`, err.message);
+      await fs.promises.rename(file, path.join(FAILED_DIR, name));
+    }
+  }
+
+  if (entries.length > 0) {
+    console.log(
+      `📮 ${entries.length} queued batches (${queuedItems} items) found on disk`,
+    );
+  }
+
+  // Replay as soon as Mongo (re)connects
+  mongoose.connection.on("connected", () => schedule(0));
+  schedule(0);
+}
+
+// handlersBySource: { "machine-data": async (batch, { retry }) => result }
+function startIngestQueue(handlersBySource) {
+  handlers = handlersBySource;
+  ready = loadQueue();
+  return ready;
+}
+
+function getQueueStats() {
+  const oldest = entries[0];
+  return {
+    batches: entries.length,
+    items: queuedItems,
+    oldestReceivedAt: oldest ? oldest.receivedAt : null,
+    oldestAgeSeconds: oldest
+      ? Math.round((Date.now() - oldest.receivedAt.getTime()) / 1000)
+      : 0,
+    nextRetryAt,
+    failedBatches,
+    lastError,
+    limits: { batches: MAX_BATCHES, items: MAX_ITEMS },
+  };
+}
+
+module.exports = {
+  startIngestQueue,
+  submit,
+  hasRoom,
+  retryAfterSeconds,
+  getQueueStats,
+  RETRY_BASE_MS,
+  RETRY_MAX_MS,
+};
@@ -0,0 +1,140 @@
+const Machine = require("../models/Machine");
+const RejectedItem = require("../models/RejectedItem");
+
+/* =========================================================
+   🏭 MACHINE REGISTRY (cached lookups for ingestion)
+   ========================================================= */
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheAt = 0;
+
+function autoRegisterEnabled() {
+  return process.env.AUTO_REGISTER_MACHINES === "true";
+}
+
+async function getRegistry() {
+  if (!cache || Date.now() - cacheAt > CACHE_TTL_MS) {
+    const rows = await Machine.find({}).lean();
+    cache = new Map(rows.map((m) => [m.name, m]));
+    cacheAt = Date.now();
+  }
+  return cache;
+}
+
+function invalidateRegistry() {
+  cache = null;
+}
+
+// Mongo filter limiting dashboards to active registered machines.
+// An empty registry (fresh install) shows everything, as before.
+async function monitoredFilter() {
+  const registry = await getRegistry();
+  if (registry.size === 0) return {};
+
+  const names = [];
+  registry.forEach((m) => {
+    if (m.active) names.push(m.name);
+  });
+  return { machineName: { $in: names } };
+}
+
+async function isMonitored(machineName) {
+  const registry = await getRegistry();
+  if (registry.size === 0) return true;
+  const m = registry.get(machineName);
+  return !!m && m.active;
+}
+
+async function quarantine(rejected, source, collector = null) {
+  if (rejected.length === 0) return;
+
+  try {
+    await RejectedItem.insertMany(
+      rejected.map((r) => ({
+        source,
+        reason: r.reason,
+        field: r.field || null,
+        message: r.message || null,
+        machineName: r.item && r.item.machine ? String(r.item.machine) : null,
+        collector: collector ? collector.id : null,
+        payload: r.item,
+      })),
+      { ordered: false },
+    );
+  } catch (err) {
+    console.error(`❌ Failed to store rejected items:`, err.message);
+  }
+}
+
+// Splits incoming items into accepted / rejected by machine name.
+// Unknown names are auto-registered when AUTO_REGISTER_MACHINES=true, and
+// accepted while the registry is empty (fresh install), like monitoredFilter.
+// A collector may only report (or auto-register) the machines it is scoped to.
+async function screenItems(items, source, collector = null) {
+  const registry = await getRegistry();
+  const accepted = [];
+  const rejected = [];
+  const toRegister = new Set();
+
+  for (const item of items) {
+    const name = item && item.machine;
+    // Items without a machine are skipped later by the save logic
+    if (!name) {
+      accepted.push(item);
+      continue;
+    }
+
+    if (collector && !collector.machines.includes(name)) {
+      rejected.push({ item, reason: "MACHINE_NOT_ALLOWED" });
+      continue;
+    }
+
+    const machine = registry.get(name);
+    if (machine && machine.active) {
+      accepted.push(item);
+    } else if (machine) {
+      rejected.push({ item, reason: "DECOMMISSIONED_MACHINE" });
+    } else if (autoRegisterEnabled()) {
+      toRegister.add(name);
+      accepted.push(item);
+    } else if (registry.size === 0) {
+      accepted.push(item);
+    } else {
+      rejected.push({ item, reason: "UNKNOWN_MACHINE" });
+    }
+  }
+
+  if (toRegister.size > 0) {
+    await Machine.bulkWrite(
+      [...toRegister].map((name) => ({
+        updateOne: {
+          filter: { name },
+          update: { $setOnInsert: { name, autoRegistered: true } },
+          upsert: true,
+        },
+      })),
+    );
+    invalidateRegistry();
+    console.log(`🏭 Auto-registered machines: ${[...toRegister].join(", ")}`);
+  }
+
+  if (rejected.length > 0) {
+    console.log(
+      `🚫 Quarantined ${rejected.length} ${source} items for unknown/decommissioned/not allowed machines`,
+    );
+    await quarantine(rejected, source, collector);
+  }
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  getRegistry,
+  invalidateRegistry,
+  monitoredFilter,
+  isMonitored,
+  screenItems,
+  quarantine,
+  autoRegisterEnabled,
+};
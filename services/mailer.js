@@ -0,0 +1,59 @@
+const nodemailer = require("nodemailer");
+
+/* =========================================================
+   📧 MAILER (SMTP settings from .env)
+   ========================================================= */
+
+// For local testing point SMTP_HOST/SMTP_PORT at a stand-in such as
+// MailHog or smtp4dev (127.0.0.1:1025), no auth needed.
+let transporter = null;
+
+function getTransporter() {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) return null;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587"),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return transporter;
+}
+
+function parseRecipients(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((r) => r.trim()).filter(Boolean);
+}
+
+async function sendMail({ to, subject, text, html, attachments }) {
+  const recipients = parseRecipients(to);
+  if (recipients.length === 0) {
+    console.log(`📭 No recipients for mail: ${subject}`);
+    return false;
+  }
+
+  const t = getTransporter();
+  if (!t) {
+    console.log(`📭 SMTP not configured, skipping mail: ${subject}`);
+    return false;
+  }
+
+  await t.sendMail({
+    from: process.env.SMTP_FROM || "factory-monitor@localhost",
+    to: recipients.join(", "),
+    subject,
+    text,
+    html,
+    attachments,
+  });
+
+  console.log(`📧 Mail sent to ${recipients.join(", ")}: ${subject}`);
+  return true;
+}
+
+module.exports = { sendMail, parseRecipients };
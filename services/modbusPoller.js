@@ -0,0 +1,244 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const ModbusRTU = require("modbus-serial");
+const LiveStatus = require("../models/LiveStatus");
+
+/* =========================================================
+   🔌 MODBUS TCP POLLER (PLCs with a run/stop coil or register)
+   =========================================================
+   Reads one coil or register per machine from each endpoint in
+   MODBUS_CONFIG_FILE every interval, maps the value to a status and
+   only hands on transitions, like a collector posting state changes.
+*/
+
+const READERS = {
+  coil: "readCoils",
+  discrete: "readDiscreteInputs",
+  holding: "readHoldingRegisters",
+  input: "readInputRegisters",
+};
+
+let config = null;
+let endpoints = [];
+let handlers = {};
+let timer = null;
+let polling = false;
+// machine → last status handed on; seeded from LiveStatus once Mongo is up
+const lastStatus = new Map();
+let seeded = false;
+// Transitions whose live status could not be saved yet (Mongo down)
+const pendingLive = new Map();
+
+const stats = { polls: 0, transitions: 0, dropped: 0, lastPollAt: null };
+
+/* ---------- config ---------- */
+
+// MODBUS_CONFIG_FILE: { intervalMs?, endpoints: [{ host, port?, unitId?,
+// timeoutMs?, machines: [{ machine, type, address, map?, default? }] }] }
+// (see modbus.example.json)
+function loadConfig(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(raw.endpoints) || raw.endpoints.length === 0) {
+    throw new Error("no endpoints configured");
+  }
+
+  raw.endpoints.forEach((endpoint) => {
+    if (!endpoint.host) throw new Error("endpoint without host");
+    (endpoint.machines || []).forEach((m) => {
+      if (!m.machine) {
+        throw new Error(`${endpoint.host}: machine entry without name`);
+      }
+      if (!READERS[m.type]) {
+        throw new Error(
+          `${m.machine}: type must be one of ${Object.keys(READERS).join(", ")}`,
+        );
+      }
+      if (!Number.isInteger(m.address) || m.address < 0) {
+        throw new Error(`${m.machine}: address must be a register number`);
+      }
+    });
+  });
+
+  return {
+    intervalMs: parseInt(process.env.MODBUS_POLL_MS) || raw.intervalMs || 5000,
+    endpoints: raw.endpoints,
+  };
+}
+
+// Register value → status via the machine's map (keys are the value as a
+// string), then its default; unmapped values are UNKNOWN. Without a map a
+// set coil / any non-zero register is RUNNING, anything else OFF.
+function toStatus(machine, value) {
+  if (!machine.map) return value ? "RUNNING" : "OFF";
+  const status = machine.map[String(value)];
+  if (status !== undefined) return status;
+  return machine.default || "UNKNOWN";
+}
+
+/* ---------- polling ---------- */
+
+async function connect(endpoint) {
+  const client = new ModbusRTU();
+  await client.connectTCP(endpoint.host, { port: endpoint.port || 502 });
+  client.setID(endpoint.unitId ?? 1);
+  client.setTimeout(endpoint.timeoutMs || 2000);
+  return client;
+}
+
+function disconnect(state) {
+  if (!state.client) return;
+  try {
+    state.client.close(() => {});
+  } catch (err) {
+    // Socket already gone
+  }
+  state.client = null;
+}
+
+// Reads every machine on one endpoint → [{ machine, status, timestamp }];
+// a failed read drops the connection so the next poll reconnects
+async function pollEndpoint(state) {
+  const { endpoint } = state;
+  try {
+    if (!state.client || !state.client.isOpen) {
+      disconnect(state);
+      state.client = await connect(endpoint);
+      console.log(`🔌 Modbus connected to ${state.label}`);
+    }
+
+    const readings = [];
+    for (const machine of endpoint.machines || []) {
+      const { data } = await state.client[READERS[machine.type]](
+        machine.address,
+        1,
+      );
+      readings.push({
+        machine: machine.machine,
+        status: toStatus(machine, data[0]),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (state.lastError) console.log(`🔌 Modbus ${state.label} recovered`);
+    state.lastError = null;
+    state.lastPollAt = new Date();
+    return readings;
+  } catch (err) {
+    // Log once per outage, not every interval
+    if (!state.lastError) {
+      console.error(`❌ Modbus ${state.label} failed:`, err.message);
+    }
+    state.lastError = { message: err.message, at: new Date() };
+    disconnect(state);
+    return [];
+  }
+}
+
+async function seedLastStatus() {
+  if (seeded || mongoose.connection.readyState !== 1) return;
+  const machines = endpoints.flatMap((s) =>
+    (s.endpoint.machines || []).map((m) => m.machine),
+  );
+  const rows = await LiveStatus.find({ machineName: { $in: machines } })
+    .select("machineName status")
+    .lean();
+  rows.forEach((row) => {
+    if (!lastStatus.has(row.machineName)) {
+      lastStatus.set(row.machineName, row.status);
+    }
+  });
+  seeded = true;
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    await seedLastStatus().catch((err) =>
+      console.warn(`⚠️ Modbus could not load live statuses:`, err.message),
+    );
+
+    const readings = (await Promise.all(endpoints.map(pollEndpoint))).flat();
+    stats.polls++;
+    stats.lastPollAt = new Date();
+
+    const changes = readings.filter(
+      (r) => lastStatus.get(r.machine) !== r.status,
+    );
+    if (changes.length > 0) {
+      console.log(
+        `🔌 Modbus: ${changes.map((c) => `${c.machine} → ${c.status}`).join(", ")}`,
+      );
+      if (await handlers.onMachineData(changes)) {
+        changes.forEach((c) => {
+          lastStatus.set(c.machine, c.status);
+          pendingLive.set(c.machine, c);
+        });
+        stats.transitions += changes.length;
+      } else {
+        // Not remembered, so the transition is retried on the next poll
+        stats.dropped += changes.length;
+      }
+    }
+
+    if (pendingLive.size > 0) {
+      const latest = [...pendingLive.values()];
+      if (await handlers.onLiveStatus(latest)) pendingLive.clear();
+    }
+  } catch (err) {
+    console.error(`❌ Modbus poll failed:`, err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/* ---------- public API ---------- */
+
+// handlers: { onMachineData(items), onLiveStatus(items) }, both → truthy
+// when the items were accepted
+function startModbusPoller(pollerHandlers) {
+  const file = process.env.MODBUS_CONFIG_FILE;
+  if (!file) return;
+
+  try {
+    config = loadConfig(file);
+  } catch (err) {
+    console.error(`❌ Invalid MODBUS_CONFIG_FILE ${file}:`, err.message);
+    return;
+  }
+  handlers = pollerHandlers;
+  endpoints = config.endpoints.map((endpoint) => ({
+    endpoint,
+    label: `${endpoint.host}:${endpoint.port || 502}`,
+    client: null,
+    lastError: null,
+    lastPollAt: null,
+  }));
+
+  const machineCount = endpoints.reduce(
+    (n, s) => n + (s.endpoint.machines || []).length,
+    0,
+  );
+  console.log(
+    `🔌 Polling ${machineCount} machines on ${endpoints.length} Modbus endpoints every ${config.intervalMs} ms`,
+  );
+  timer = setInterval(poll, config.intervalMs);
+  poll();
+}
+
+function getModbusStats() {
+  return {
+    enabled: !!timer,
+    intervalMs: config ? config.intervalMs : null,
+    ...stats,
+    endpoints: endpoints.map((s) => ({
+      endpoint: s.label,
+      connected: !!s.client && s.client.isOpen,
+      machines: (s.endpoint.machines || []).map((m) => m.machine),
+      lastPollAt: s.lastPollAt,
+      lastError: s.lastError,
+    })),
+  };
+}
+
+module.exports = { startModbusPoller, getModbusStats };
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const mqtt = require("mqtt");
+
+/* =========================================================
+   📶 MQTT GATEWAY (controllers publishing machine status)
+   =========================================================
+   Subscribes to MQTT_TOPICS (or the mappings in MQTT_MAPPINGS_FILE),
+   turns each message into a { machine, status, timestamp, ... } item
+   and hands them, batched, to the same logic as the HTTP endpoints.
+*/
+
+const FLUSH_MS = parseInt(process.env.MQTT_FLUSH_MS) || 1000;
+const FLUSH_ITEMS = 500;
+
+const stats = {
+  received: 0,
+  unmapped: 0,
+  machineData: 0,
+  liveStatus: 0,
+  dropped: 0,
+  lastMessageAt: null,
+};
+let client = null;
+let mappings = [];
+let handlers = {};
+let buffers = { machineData: [], liveStatus: [] };
+let flushTimer = null;
+
+/* ---------- mappings ---------- */
+
+// Default mapping for a topic pattern: the first "+" level is the machine,
+// the payload is JSON { status, timestamp, ... } or a bare status string
+function defaultMapping(topic) {
+  const machineLevel = topic.split("/").indexOf("+");
+  return {
+    topic,
+    targets: ["machine-data", "live-status"],
+    machine: machineLevel !== -1 ? `topic[${machineLevel}]` : "payload.machine",
+    status: "payload.status|payload",
+    timestamp: "payload.timestamp",
+  };
+}
+
+// MQTT_MAPPINGS_FILE: JSON array of { topic, targets?, machine?, status?,
+// timestamp?, statusMap?, fields? } (see mqtt-mappings.example.json);
+// otherwise MQTT_TOPICS="factory/+/status,..." with the default mapping
+function loadMappings() {
+  const file = process.env.MQTT_MAPPINGS_FILE;
+  if (file) {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    return config.map((m) => ({ ...defaultMapping(m.topic), ...m }));
+  }
+  return String(process.env.MQTT_TOPICS || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map(defaultMapping);
+}
+
+// MQTT wildcard match: "+" = one level, "#" = the rest
+function topicMatches(pattern, topic) {
+  const p = pattern.split("/");
+  const t = topic.split("/");
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === "#") return true;
+    if (i >= t.length || (p[i] !== "+" && p[i] !== t[i])) return false;
+  }
+  return p.length === t.length;
+}
+
+// "topic[1]" = 2nd topic level, "payload.a.b" = payload field, "payload" =
+// the whole payload; "x|y" takes the first that is set. Anything else is
+// a literal value.
+function resolve(expr, levels, payload) {
+  for (const option of String(expr).split("|")) {
+    let value;
+    const level = /^topic\[(\d+)\]$/.exec(option);
+    if (level) {
+      value = levels[parseInt(level[1])];
+    } else if (option === "payload") {
+      value = typeof payload === "object" ? undefined : payload;
+    } else if (option.startsWith("payload.")) {
+      value = option
+        .slice(8)
+        .split(".")
+        .reduce(
+          (obj, key) => (obj && typeof obj === "object" ? obj[key] : undefined),
+          payload,
+        );
+    } else {
+      value = option;
+    }
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return undefined;
+}
+
+// Raw value → status via the mapping's statusMap (e.g. { "1": "RUNNING" }),
+// else upper-cased ("running" → "RUNNING")
+function normalizeStatus(value, statusMap) {
+  if (value === undefined) return undefined;
+  if (statusMap && statusMap[String(value)] !== undefined) {
+    return statusMap[String(value)];
+  }
+  return String(value).trim().toUpperCase();
+}
+
+function parsePayload(buffer) {
+  const text = buffer.toString("utf8").trim();
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+// Message → ingestion item; validation happens downstream like for HTTP
+function toItem(mapping, topic, payload) {
+  const levels = topic.split("/");
+  const item = {
+    machine: resolve(mapping.machine, levels, payload),
+    status: normalizeStatus(
+      resolve(mapping.status, levels, payload),
+      mapping.statusMap,
+    ),
+    timestamp:
+      resolve(mapping.timestamp, levels, payload) || new Date().toISOString(),
+  };
+
+  const fields = {
+    shift: "payload.shift",
+    pieceCount: "payload.pieceCount",
+    rejectCount: "payload.rejectCount",
+    ...mapping.fields,
+  };
+  Object.entries(fields).forEach(([field, expr]) => {
+    const value = resolve(expr, levels, payload);
+    if (value !== undefined) item[field] = value;
+  });
+  return item;
+}
+
+/* ---------- batching ---------- */
+
+async function flush() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  const { machineData, liveStatus } = buffers;
+  buffers = { machineData: [], liveStatus: [] };
+
+  if (machineData.length > 0) {
+    try {
+      const accepted = await handlers.onMachineData(machineData);
+      if (!accepted) stats.dropped += machineData.length;
+    } catch (err) {
+      stats.dropped += machineData.length;
+      console.error(`❌ MQTT machine data not saved:`, err.message);
+    }
+  }
+  if (liveStatus.length > 0) {
+    try {
+      await handlers.onLiveStatus(liveStatus);
+    } catch (err) {
+      console.error(`❌ MQTT live status not saved:`, err.message);
+    }
+  }
+}
+
+function onMessage(topic, buffer) {
+  stats.received++;
+  stats.lastMessageAt = new Date();
+
+  const mapping = mappings.find((m) => topicMatches(m.topic, topic));
+  if (!mapping) {
+    stats.unmapped++;
+    return;
+  }
+
+  const item = toItem(mapping, topic, parsePayload(buffer));
+  if (mapping.targets.includes("machine-data")) {
+    buffers.machineData.push(item);
+    stats.machineData++;
+  }
+  if (mapping.targets.includes("live-status")) {
+    buffers.liveStatus.push(item);
+    stats.liveStatus++;
+  }
+
+  const pending = buffers.machineData.length + buffers.liveStatus.length;
+  if (pending >= FLUSH_ITEMS) flush();
+  else if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_MS);
+}
+
+/* ---------- connection ---------- */
+
+// handlers: { onMachineData(items) → truthy when accepted, onLiveStatus(items) }
+function startMqttGateway(gatewayHandlers) {
+  const url = process.env.MQTT_URL;
+  if (!url) return null;
+
+  handlers = gatewayHandlers;
+  mappings = loadMappings();
+  if (mappings.length === 0) {
+    console.warn("⚠️ MQTT_URL is set but no MQTT_TOPICS / mappings, skipping");
+    return null;
+  }
+
+  client = mqtt.connect(url, {
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    clientId:
+      process.env.MQTT_CLIENT_ID ||
+      `factory-monitor-${Math.random().toString(16).slice(2, 10)}`,
+    reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_MS) || 5000,
+    clean: true,
+  });
+
+  client.on("connect", () => {
+    const topics = mappings.map((m) => m.topic);
+    // Subscribe on every (re)connect: a clean session forgets them
+    client.subscribe(topics, { qos: 1 }, (err) => {
+      if (err) console.error(`❌ MQTT subscribe failed:`, err.message);
+      else console.log(`📶 MQTT subscribed: ${topics.join(", ")}`);
+    });
+  });
+  client.on("reconnect", () => console.log(`📶 MQTT reconnecting to ${url}`));
+  client.on("offline", () => console.warn(`⚠️ MQTT broker offline`));
+  client.on("error", (err) => console.error(`❌ MQTT error:`, err.message));
+  client.on("message", onMessage);
+
+  return client;
+}
+
+function getMqttStats() {
+  return {
+    enabled: !!client,
+    connected: !!client && client.connected,
+    topics: mappings.map((m) => m.topic),
+    ...stats,
+  };
+}
+
+module.exports = { startMqttGateway, getMqttStats };
@@ -0,0 +1,447 @@
+const { Parser } = require("json2csv");
+const ReportRun = require("../models/ReportRun");
+const { forEachSegment, emptyTotals, addSeconds } = require("./analytics");
+const { getRegistry } = require("./machineRegistry");
+const {
+  getCalendars,
+  calendarFor,
+  windowsForDay,
+  BUILTIN_CALENDAR,
+} = require("./shiftCalendar");
+const { sendMail, parseRecipients } = require("./mailer");
+const {
+  PLANT_TIMEZONE,
+  withLocal,
+  formatLocal,
+  localDateKey,
+  localTimeToUTC,
+  addDays,
+} = require("../utils/time");
+
+/* =========================================================
+   📋 SHIFT / DAILY PRODUCTION REPORTS
+   ========================================================= */
+
+const TOP_DOWNTIME = 5;
+const FORMATS = ["json", "csv", "html"];
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Active registered machines on `line`, or following `calendar` when no
+// line is given. null = every machine (empty registry).
+async function reportMachines({ line, calendar }) {
+  const registry = await getRegistry();
+  if (registry.size === 0) {
+    return line || (calendar && !calendar.isDefault) ? [] : null;
+  }
+
+  const calendars = await getCalendars();
+  const belongs = (m) =>
+    line
+      ? m.line === line
+      : !calendar || calendarFor(calendars, m.line).name === calendar.name;
+
+  const names = [];
+  registry.forEach((m) => {
+    if (m.active && belongs(m)) names.push(m.name);
+  });
+  return names;
+}
+
+// Per-machine runtime / downtime / off time and stop counts for [from, to].
+// A stop is the start of a run of DOWNTIME segments.
+async function machineTotals({ machines, from, to }) {
+  const perMachine = new Map();
+
+  await forEachSegment({ machines, from, to }, (segment) => {
+    if (segment.end <= segment.start || segment.status === null) return;
+
+    if (!perMachine.has(segment.machineName)) {
+      perMachine.set(segment.machineName, {
+        ...emptyTotals(),
+        stops: 0,
+        lastStatus: null,
+      });
+    }
+    const totals = perMachine.get(segment.machineName);
+
+    addSeconds(totals, segment.status, (segment.end - segment.start) / 1000);
+    totals.pieceCount += segment.pieceCount;
+    totals.rejectCount += segment.rejectCount;
+    totals.hasCounts = totals.hasCounts || segment.hasCounts;
+
+    if (segment.status === "DOWNTIME" && totals.lastStatus !== "DOWNTIME") {
+      totals.stops++;
+    }
+    totals.lastStatus = segment.status;
+  });
+
+  return perMachine;
+}
+
+function finalizeRow(totals) {
+  const planned = totals.runtimeSeconds + totals.downtimeSeconds;
+  return {
+    runtimeSeconds: Math.round(totals.runtimeSeconds),
+    downtimeSeconds: Math.round(totals.downtimeSeconds),
+    offSeconds: Math.round(totals.offSeconds),
+    unknownSeconds: Math.round(totals.unknownSeconds),
+    stops: totals.stops,
+    availability:
+      planned > 0
+        ? Math.round((totals.runtimeSeconds / planned) * 10000) / 10000
+        : null,
+    pieceCount: totals.hasCounts ? totals.pieceCount : null,
+    rejectCount: totals.hasCounts ? totals.rejectCount : null,
+  };
+}
+
+// { type, title, from, to, ... } → report with one row per machine,
+// plant totals and the machines with the most downtime
+async function buildReport({
+  type,
+  title,
+  from,
+  to,
+  timeZone = PLANT_TIMEZONE,
+  machines = null,
+  line = null,
+  shift = null,
+  date = null,
+}) {
+  const registry = await getRegistry();
+  const perMachine =
+    machines && machines.length === 0
+      ? new Map()
+      : await machineTotals({ machines, from, to });
+
+  const total = { ...emptyTotals(), stops: 0 };
+  const rows = [...perMachine.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([machineName, totals]) => {
+      [
+        "runtimeSeconds",
+        "downtimeSeconds",
+        "offSeconds",
+        "unknownSeconds",
+        "stops",
+        "pieceCount",
+        "rejectCount",
+      ].forEach((f) => (total[f] += totals[f]));
+      total.hasCounts = total.hasCounts || totals.hasCounts;
+
+      const machine = registry.get(machineName) || {};
+      return {
+        machine: machineName,
+        displayName: machine.displayName || machineName,
+        line: machine.line || null,
+        ...finalizeRow(totals),
+      };
+    });
+
+  const topDowntime = rows
+    .filter((r) => r.downtimeSeconds > 0)
+    .sort((a, b) => b.downtimeSeconds - a.downtimeSeconds)
+    .slice(0, TOP_DOWNTIME)
+    .map((r) => ({
+      machine: r.machine,
+      displayName: r.displayName,
+      downtimeSeconds: r.downtimeSeconds,
+      stops: r.stops,
+    }));
+
+  return withLocal(
+    {
+      type,
+      title,
+      timeZone,
+      date,
+      shift,
+      line,
+      from,
+      to,
+      generatedAt: new Date(),
+      totals: finalizeRow(total),
+      topDowntime,
+      machines: rows,
+    },
+    ["from", "to", "generatedAt"],
+    timeZone,
+  );
+}
+
+/* ---------- report windows ---------- */
+
+// Most recent scheduled shift of `calendar` that ended at or before `now`
+function lastCompletedShift(calendar, now = new Date()) {
+  const tz = calendar.timezone || PLANT_TIMEZONE;
+  const today = localDateKey(now, tz);
+
+  return [-2, -1, 0]
+    .flatMap((d) => windowsForDay(calendar, addDays(today, d)))
+    .filter((w) => w.end <= now)
+    .sort((a, b) => b.end - a.end)[0];
+}
+
+// Shift report for `line` (its calendar) or the default calendar:
+// ?date=&shift= picks one shift, otherwise the last completed one
+async function shiftReport({ date, shift, line, timeZone, now = new Date() }) {
+  const calendar = calendarFor(await getCalendars(), line);
+
+  let window;
+  if (date || shift) {
+    if (!date || !shift) return { error: "date and shift go together" };
+    if (!DATE_KEY.test(date)) return { error: "date must be YYYY-MM-DD" };
+    window = windowsForDay(calendar, date).find((w) => w.name === shift);
+    if (!window) {
+      return { error: `No shift "${shift}" on ${date} in ${calendar.name}` };
+    }
+  } else {
+    window = lastCompletedShift(calendar, now);
+    if (!window) return { error: "No completed shift in the last two days" };
+  }
+
+  const scope = line ? ` (${line})` : "";
+  return buildReport({
+    type: "shift",
+    title: `Shift report ${window.name} ${window.date}${scope}`,
+    from: window.start,
+    to: window.end,
+    timeZone: timeZone || calendar.timezone || PLANT_TIMEZONE,
+    machines: await reportMachines({ line, calendar }),
+    line: line || null,
+    shift: window.name,
+    date: window.date,
+  });
+}
+
+// Daily report for one local day (yesterday by default) in `timeZone`
+async function dailyReport({ date, line, timeZone = PLANT_TIMEZONE }) {
+  const day = date || addDays(localDateKey(new Date(), timeZone), -1);
+  if (!DATE_KEY.test(day)) {
+    return { error: "date must be YYYY-MM-DD" };
+  }
+
+  const scope = line ? ` (${line})` : "";
+  return buildReport({
+    type: "daily",
+    title: `Daily report ${day}${scope}`,
+    from: localTimeToUTC(day, "00:00", timeZone),
+    to: localTimeToUTC(addDays(day, 1), "00:00", timeZone),
+    timeZone,
+    machines: await reportMachines({ line }),
+    line: line || null,
+    date: day,
+  });
+}
+
+/* ---------- rendering ---------- */
+
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const h = Math.floor(minutes / 60);
+  return h ? `${h}h ${String(minutes % 60).padStart(2, "0")}m` : `${minutes}m`;
+}
+
+function formatPercent(ratio) {
+  return ratio === null ? "-" : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const CSV_FIELDS = [
+  "machine",
+  "displayName",
+  "line",
+  "runtimeSeconds",
+  "downtimeSeconds",
+  "offSeconds",
+  "unknownSeconds",
+  "stops",
+  "availability",
+  "pieceCount",
+  "rejectCount",
+];
+
+function reportToCsv(report) {
+  return new Parser({ fields: CSV_FIELDS }).parse([
+    ...report.machines,
+    { machine: "TOTAL", displayName: "All machines", ...report.totals },
+  ]);
+}
+
+function reportToText(report) {
+  const t = report.totals;
+  return [
+    report.title,
+    `Period: ${report.fromLocal} → ${report.toLocal}`,
+    "",
+    `Runtime: ${formatDuration(t.runtimeSeconds)}`,
+    `Downtime: ${formatDuration(t.downtimeSeconds)} (${t.stops} stops)`,
+    `Off: ${formatDuration(t.offSeconds)}`,
+    `Availability: ${formatPercent(t.availability)}`,
+    "",
+    "Top downtime:",
+    ...(report.topDowntime.length
+      ? report.topDowntime.map(
+          (r, i) =>
+            `${i + 1}. ${r.displayName}: ${formatDuration(r.downtimeSeconds)} (${r.stops} stops)`,
+        )
+      : ["none"]),
+  ].join("\n");
+}
+
+function reportToHtml(report) {
+  const cell = (v) => `<td>${escapeHtml(v)}</td>`;
+  const row = (r, label) =>
+    "<tr>" +
+    [
+      label || r.displayName,
+      r.line || "",
+      formatDuration(r.runtimeSeconds),
+      formatDuration(r.downtimeSeconds),
+      formatDuration(r.offSeconds),
+      r.stops,
+      formatPercent(r.availability),
+      r.pieceCount === null ? "-" : r.pieceCount,
+    ]
+      .map(cell)
+      .join("") +
+    "</tr>";
+
+  const top = report.topDowntime.length
+    ? `<ol>${report.topDowntime
+        .map(
+          (r) =>
+            `<li>${escapeHtml(r.displayName)}: ${formatDuration(r.downtimeSeconds)} (${r.stops} stops)</li>`,
+        )
+        .join("")}</ol>`
+    : "<p>No downtime 🎉</p>";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 14px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tfoot td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h2>${escapeHtml(report.title)}</h2>
+<p>${escapeHtml(report.fromLocal)} → ${escapeHtml(report.toLocal)} (${escapeHtml(report.timeZone)})</p>
+<h3>Top downtime machines</h3>
+${top}
+<h3>Machines</h3>
+<table>
+<thead><tr><th>Machine</th><th>Line</th><th>Runtime</th><th>Downtime</th><th>Off</th><th>Stops</th><th>Availability</th><th>Pieces</th></tr></thead>
+<tbody>
+${report.machines.map((r) => row(r)).join("\n")}
+</tbody>
+<tfoot>${row(report.totals, "Total")}</tfoot>
+</table>
+<p style="color:#888">Generated ${escapeHtml(formatLocal(report.generatedAt, report.timeZone))}</p>
+</body>
+</html>`;
+}
+
+/* ---------- scheduled email ---------- */
+
+async function emailReport(report) {
+  return sendMail({
+    to: parseRecipients(process.env.REPORT_RECIPIENTS),
+    subject: `📋 ${report.title}`,
+    text: reportToText(report),
+    html: reportToHtml(report),
+    attachments: [
+      {
+        filename: `${report.title.replace(/[^\w-]+/g, "-")}.csv`,
+        content: reportToCsv(report),
+        contentType: "text/csv",
+      },
+    ],
+  });
+}
+
+// Emails a report for every scheduled shift (one per calendar) that ended
+// since the last one mailed for its calendar (kept in ReportRun). A
+// calendar seen for the first time starts from `now`; a failed mail stops
+// its calendar there, so the next run retries from that shift on.
+async function emailShiftReports(now = new Date()) {
+  // Lines without a calendar fall back to the built-in one when no stored
+  // calendar is the default
+  const stored = await getCalendars();
+  const calendars = stored.some((c) => c.isDefault)
+    ? stored
+    : [...stored, BUILTIN_CALENDAR];
+  let sent = 0;
+
+  for (const calendar of calendars) {
+    const key = `shift:${calendar.name}`;
+    const run = await ReportRun.findOne({ key }).lean();
+    if (!run) {
+      await ReportRun.create({ key, lastEnd: now });
+      continue;
+    }
+
+    const tz = calendar.timezone || PLANT_TIMEZONE;
+    const today = localDateKey(now, tz);
+    const ended = [-2, -1, 0]
+      .flatMap((d) => windowsForDay(calendar, addDays(today, d)))
+      .filter((w) => w.end > run.lastEnd && w.end <= now)
+      .sort((a, b) => a.end - b.end);
+    if (ended.length === 0) continue;
+
+    const machines = await reportMachines({ calendar });
+    for (const w of ended) {
+      if (!machines || machines.length > 0) {
+        const suffix = calendars.length > 1 ? ` (${calendar.name})` : "";
+        const report = await buildReport({
+          type: "shift",
+          title: `Shift report ${w.name} ${w.date}${suffix}`,
+          from: w.start,
+          to: w.end,
+          timeZone: tz,
+          machines,
+          shift: w.name,
+          date: w.date,
+        });
+        try {
+          if (await emailReport(report)) sent++;
+        } catch (err) {
+          console.error(`❌ ${report.title} not mailed:`, err.message);
+          break;
+        }
+      }
+      await ReportRun.updateOne({ key }, { $set: { lastEnd: w.end } });
+    }
+  }
+  return sent;
+}
+
+async function emailDailyReport(date) {
+  const report = await dailyReport({ date });
+  return emailReport(report);
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  shiftReport,
+  dailyReport,
+  lastCompletedShift,
+  reportToCsv,
+  reportToHtml,
+  reportToText,
+  emailShiftReports,
+  emailDailyReport,
+};
@@ -0,0 +1,211 @@
+const MachineData = require("../models/machineData");
+const DowntimeEvent = require("../models/DowntimeEvent");
+const ShiftCalendar = require("../models/ShiftCalendar");
+const { getRegistry } = require("./machineRegistry");
+const {
+  PLANT_TIMEZONE,
+  localDateKey,
+  localTimeToUTC,
+  addDays,
+  weekdayOf,
+} = require("../utils/time");
+
+/* =========================================================
+   🗓️ SHIFT CALENDAR
+   ========================================================= */
+
+// Used when no calendar is stored at all
+const BUILTIN_CALENDAR = {
+  name: "Built-in",
+  isDefault: true,
+  lines: [],
+  timezone: null,
+  shifts: [
+    { name: "Morning", start: "07:00", end: "15:00" },
+    { name: "Evening", start: "15:00", end: "23:00" },
+    { name: "Night", start: "23:00", end: "07:00" },
+  ],
+  weekdayOverrides: [],
+  periods: [],
+  holidays: [],
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheAt = 0;
+
+async function getCalendars() {
+  if (!cache || Date.now() - cacheAt > CACHE_TTL_MS) {
+    cache = await ShiftCalendar.find({}).lean();
+    cacheAt = Date.now();
+  }
+  return cache;
+}
+
+function invalidateCalendars() {
+  cache = null;
+}
+
+function calendarFor(calendars, line) {
+  return (
+    (line && calendars.find((c) => c.lines.includes(line))) ||
+    calendars.find((c) => c.isDefault) ||
+    BUILTIN_CALENDAR
+  );
+}
+
+// Shift pattern that applies on a local day:
+// holiday > period (+ its weekday overrides) > weekday override > default
+function patternForDay(calendar, dateKey) {
+  const holiday = calendar.holidays.find((h) => h.date === dateKey);
+  if (holiday) return { holiday: holiday.name || "Holiday", shifts: [] };
+
+  const weekday = weekdayOf(dateKey);
+  const period = calendar.periods.find(
+    (p) => p.from <= dateKey && dateKey <= p.to,
+  );
+  const base = period || calendar;
+  const override = (base.weekdayOverrides || []).find(
+    (o) => o.weekday === weekday,
+  );
+
+  if (override) return { holiday: null, shifts: override.shifts };
+  if (period) return { holiday: null, shifts: period.shifts };
+  return { holiday: null, shifts: calendar.shifts };
+}
+
+// UTC windows of the shifts that start on a local day
+function windowsForDay(calendar, dateKey) {
+  const tz = calendar.timezone || PLANT_TIMEZONE;
+  return patternForDay(calendar, dateKey).shifts.map((s) => {
+    const start = localTimeToUTC(dateKey, s.start, tz);
+    const end =
+      s.end > s.start
+        ? localTimeToUTC(dateKey, s.end, tz)
+        : localTimeToUTC(addDays(dateKey, 1), s.end, tz);
+    return { name: s.name, date: dateKey, start, end };
+  });
+}
+
+// Shift window containing `date` → { key, shift, date, start, end }.
+// Time outside every shift becomes an "Unscheduled" (or "Holiday") window
+// bounded by the neighbouring shifts and the local day. Shift times are
+// wall-clock in the calendar's zone, whatever zone the caller asked for.
+function windowAt(calendar, date) {
+  const tz = calendar.timezone || PLANT_TIMEZONE;
+  const t = new Date(date).getTime();
+  const dateKey = localDateKey(t, tz);
+
+  const windows = [-1, 0, 1].flatMap((d) =>
+    windowsForDay(calendar, addDays(dateKey, d)),
+  );
+  const hit = windows.find((w) => w.start <= t && t < w.end);
+  if (hit) {
+    return {
+      key: `${hit.date} ${hit.name}`,
+      shift: hit.name,
+      date: hit.date,
+      start: hit.start,
+      end: hit.end,
+    };
+  }
+
+  let start = localTimeToUTC(dateKey, "00:00", tz).getTime();
+  let end = localTimeToUTC(addDays(dateKey, 1), "00:00", tz).getTime();
+  windows.forEach((w) => {
+    if (w.end <= t && w.end > start) start = w.end.getTime();
+    if (w.start > t && w.start < end) end = w.start.getTime();
+  });
+
+  const { holiday } = patternForDay(calendar, dateKey);
+  const name = holiday ? "Holiday" : "Unscheduled";
+  return {
+    key: `${dateKey} ${name}`,
+    shift: name,
+    date: dateKey,
+    start: new Date(start),
+    end: new Date(end),
+  };
+}
+
+// Sync helpers over the cached calendars, load once per batch / report
+async function getShiftResolver() {
+  const calendars = await getCalendars();
+  return {
+    windowAt: (date, line) => windowAt(calendarFor(calendars, line), date),
+    shiftAt: (date, line) => windowAt(calendarFor(calendars, line), date).shift,
+  };
+}
+
+// Re-tags MachineData.shift and DowntimeEvent.shift in [from, to] after a
+// calendar change; `line` limits it to the machines of one line
+async function retagShifts({ from, to, line }) {
+  const resolver = await getShiftResolver();
+  const registry = await getRegistry();
+
+  const q = { timestamp: { $gte: from, $lte: to } };
+  if (line) {
+    const names = [];
+    registry.forEach((m) => {
+      if (m.line === line) names.push(m.name);
+    });
+    q.machineName = { $in: names };
+  }
+
+  const lineOf = (name) => (registry.get(name) || {}).line;
+  let ops = [];
+  let records = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    records += (await MachineData.bulkWrite(ops, { ordered: false }))
+      .modifiedCount;
+    ops = [];
+  };
+
+  const cursor = MachineData.find(q)
+    .select({ machineName: 1, timestamp: 1, shift: 1 })
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    const shift = resolver.shiftAt(doc.timestamp, lineOf(doc.machineName));
+    if (shift === doc.shift) continue;
+    ops.push({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { shift } } },
+    });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+
+  const eventQuery = { startedAt: { $gte: from, $lte: to } };
+  if (q.machineName) eventQuery.machineName = q.machineName;
+  const events = await DowntimeEvent.find(eventQuery)
+    .select({ machineName: 1, startedAt: 1, shift: 1 })
+    .lean();
+  const eventOps = events
+    .map((e) => ({
+      e,
+      shift: resolver.shiftAt(e.startedAt, lineOf(e.machineName)),
+    }))
+    .filter(({ e, shift }) => shift !== e.shift)
+    .map(({ e, shift }) => ({
+      updateOne: { filter: { _id: e._id }, update: { $set: { shift } } },
+    }));
+  if (eventOps.length) await DowntimeEvent.bulkWrite(eventOps);
+
+  console.log(
+    `🗓️ Re-tagged shifts: ${records} records, ${eventOps.length} downtime events`,
+  );
+  return { records, downtimeEvents: eventOps.length };
+}
+
+module.exports = {
+  BUILTIN_CALENDAR,
+  getCalendars,
+  invalidateCalendars,
+  calendarFor,
+  windowsForDay,
+  getShiftResolver,
+  windowAt,
+  retagShifts,
+};
@@ -0,0 +1,65 @@
+const Site = require("../models/Site");
+const { getRegistry } = require("./machineRegistry");
+const { PLANT_TIMEZONE, isValidTimeZone } = require("../utils/time");
+
+/* =========================================================
+   🌍 SITES & TIME ZONES
+   ========================================================= */
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheAt = 0;
+
+async function getSites() {
+  if (!cache || Date.now() - cacheAt > CACHE_TTL_MS) {
+    const rows = await Site.find({}).lean();
+    cache = new Map(rows.map((s) => [s.code, s]));
+    cacheAt = Date.now();
+  }
+  return cache;
+}
+
+function invalidateSites() {
+  cache = null;
+}
+
+// Sync (machineName) → IANA zone of the machine's site, for ingestion
+async function getMachineTimeZoneResolver() {
+  const registry = await getRegistry();
+  const sites = await getSites();
+  return (machineName) => {
+    const machine = registry.get(machineName);
+    const site = machine && machine.site ? sites.get(machine.site) : null;
+    return site ? site.timezone : PLANT_TIMEZONE;
+  };
+}
+
+// Sets req.timeZone from ?tz= (any IANA zone) or ?site=, else the plant zone
+async function timeZoneMiddleware(req, res, next) {
+  const { tz, site } = req.query;
+
+  if (tz) {
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({ error: `Unknown time zone: ${tz}` });
+    }
+    req.timeZone = tz;
+    return next();
+  }
+
+  if (site) {
+    const found = (await getSites()).get(site);
+    if (!found) return res.status(400).json({ error: `Unknown site: ${site}` });
+    req.timeZone = found.timezone;
+    return next();
+  }
+
+  req.timeZone = PLANT_TIMEZONE;
+  next();
+}
+
+module.exports = {
+  getSites,
+  invalidateSites,
+  getMachineTimeZoneResolver,
+  timeZoneMiddleware,
+};
@@ -0,0 +1,248 @@
+const MachineData = require("../models/machineData");
+const StateTransition = require("../models/StateTransition");
+const { getRegistry } = require("./machineRegistry");
+
+/* =========================================================
+   🔀 STATE TRANSITIONS (status changes, apart from raw samples)
+   ========================================================= */
+
+const BACKFILL_CHUNK = 1000;
+
+function seconds(from, to) {
+  return Math.round((to - from) / 1000);
+}
+
+// Merges read a machine's log and then write links based on it, so two at
+// once (HTTP, queue replay, MQTT, Modbus, a rebuild) would clash: each
+// machine's work runs one after another on a promise chain
+const machineQueues = new Map();
+
+function serialized(machineName, task) {
+  const previous = machineQueues.get(machineName) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  machineQueues.set(machineName, tail);
+  tail.then(() => {
+    if (machineQueues.get(machineName) === tail) {
+      machineQueues.delete(machineName);
+    }
+  });
+  return run;
+}
+
+// Merges status points { status, at, record? } of one machine into its
+// transition log. Points only become transitions when the status differs
+// from the one in force at that time; transitions they make redundant
+// (late data) are removed and the next one is re-linked to its new
+// predecessor. Without points only the transitions after `emptyAt` are
+// re-linked. Callers hold the machine's turn (see serialized).
+// → number of transitions added
+async function mergeMachinePoints(
+  machineName,
+  points,
+  source,
+  line,
+  emptyAt = null,
+) {
+  points.sort((a, b) => a.at - b.at);
+  const first = points.length ? points[0].at : emptyAt;
+  const last = points.length ? points[points.length - 1].at : emptyAt;
+
+  const [anchor, existing] = await Promise.all([
+    StateTransition.findOne({ machineName, at: { $lt: first } })
+      .sort({ at: -1 })
+      .lean(),
+    StateTransition.find({ machineName, at: { $gte: first, $lte: last } })
+      .sort({ at: 1 })
+      .lean(),
+  ]);
+
+  // A transition already logged at the same instant wins over a new point
+  const taken = new Set(existing.map((t) => t.at.getTime()));
+  const merged = [
+    ...existing.map((t) => ({ at: t.at, status: t.toStatus, existing: t })),
+    ...points.filter((p) => {
+      if (taken.has(p.at.getTime())) return false;
+      taken.add(p.at.getTime());
+      return true;
+    }),
+  ].sort((a, b) => a.at - b.at);
+
+  let state = anchor ? anchor.toStatus : null;
+  let since = anchor ? anchor.at : null;
+  const ops = [];
+  let added = 0;
+
+  // Keeps a logged transition consistent with its predecessor, or drops it
+  // when its status is already in force
+  const relink = (t) => {
+    if (t.toStatus === state) {
+      ops.push({ deleteOne: { filter: { _id: t._id } } });
+      return false;
+    }
+    const duration = since ? seconds(since, t.at) : null;
+    if (t.fromStatus !== state || t.durationSeconds !== duration) {
+      ops.push({
+        updateOne: {
+          filter: { _id: t._id },
+          update: { $set: { fromStatus: state, durationSeconds: duration } },
+        },
+      });
+    }
+    state = t.toStatus;
+    since = t.at;
+    return true;
+  };
+
+  for (const p of merged) {
+    if (p.existing) {
+      relink(p.existing);
+      continue;
+    }
+    if (p.status === state) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { machineName, at: p.at },
+        update: {
+          $setOnInsert: {
+            line,
+            fromStatus: state,
+            toStatus: p.status,
+            durationSeconds: since ? seconds(since, p.at) : null,
+            source,
+            record: p.record || null,
+          },
+        },
+        upsert: true,
+      },
+    });
+    added++;
+    state = p.status;
+    since = p.at;
+  }
+
+  // The transitions after the batch follow a (possibly) new predecessor;
+  // once one keeps its place nothing further down changes
+  let after = last;
+  for (;;) {
+    const next = await StateTransition.findOne({
+      machineName,
+      at: { $gt: after },
+    })
+      .sort({ at: 1 })
+      .lean();
+    if (!next || relink(next)) break;
+    after = next.at;
+  }
+
+  if (ops.length) await StateTransition.bulkWrite(ops, { ordered: true });
+  return added;
+}
+
+// Called after saves: points = [{ machineName, status, at, record? }],
+// source = "machine-data" | "live-status"
+async function recordTransitions(points, source) {
+  const byMachine = new Map();
+  let unlinked = 0;
+  points.forEach((p) => {
+    if (!p.status || !p.at) return;
+    if (source === "machine-data" && !p.record) unlinked++;
+    if (!byMachine.has(p.machineName)) byMachine.set(p.machineName, []);
+    byMachine.get(p.machineName).push(p);
+  });
+  if (unlinked > 0) {
+    console.warn(
+      `⚠️ ${unlinked} transition points without their MachineData record`,
+    );
+  }
+  if (byMachine.size === 0) return 0;
+
+  const registry = await getRegistry();
+  let added = 0;
+  for (const [machineName, machinePoints] of byMachine) {
+    const machine = registry.get(machineName) || {};
+    try {
+      added += await serialized(machineName, () =>
+        mergeMachinePoints(
+          machineName,
+          machinePoints,
+          source,
+          machine.line || null,
+        ),
+      );
+    } catch (err) {
+      console.error(
+        `❌ State transition update failed for ${machineName}:`,
+        err.message,
+      );
+    }
+  }
+  return added;
+}
+
+// Rebuilds one machine's log in range from its samples; the transitions
+// after the window are re-linked to what now precedes them, also when the
+// window has no samples at all. → number of transitions added
+async function rebuildMachine(machineName, range, line) {
+  await StateTransition.deleteMany({ machineName, at: range });
+
+  const cursor = MachineData.find({
+    machineName,
+    timestamp: range,
+    status: { $ne: null },
+  })
+    .sort({ timestamp: 1 })
+    .select({ timestamp: 1, status: 1 })
+    .lean()
+    .cursor();
+
+  let chunk = [];
+  let count = 0;
+  let merged = false;
+  const flush = async () => {
+    if (chunk.length === 0) return;
+    count += await mergeMachinePoints(machineName, chunk, "machine-data", line);
+    chunk = [];
+    merged = true;
+  };
+  for await (const doc of cursor) {
+    chunk.push({ status: doc.status, at: doc.timestamp, record: doc._id });
+    if (chunk.length >= BACKFILL_CHUNK) await flush();
+  }
+  await cursor.close();
+  await flush();
+
+  if (!merged) {
+    await mergeMachinePoints(machineName, [], "machine-data", line, range.$lte);
+  }
+  return count;
+}
+
+// Backfill: rebuilds the log from MachineData in [from, to] (all machines
+// unless `machine` is given). Transitions already logged in the window
+// are replaced, so live-status ones there give way to the samples.
+async function rebuildStateTransitions({ machine, from, to }) {
+  const range = { $gte: from, $lte: to };
+  const machines = machine
+    ? [machine]
+    : await MachineData.distinct("machineName", { timestamp: range });
+  const registry = await getRegistry();
+
+  let transitions = 0;
+  for (const machineName of machines) {
+    const line = (registry.get(machineName) || {}).line || null;
+    const count = await serialized(machineName, () =>
+      rebuildMachine(machineName, range, line),
+    );
+    if (count) console.log(`  🔀 ${machineName}: ${count} transitions`);
+    transitions += count;
+  }
+
+  console.log(
+    `🔀 State transitions rebuilt: ${machines.length} machines, ${transitions} transitions`,
+  );
+  return { machines: machines.length, transitions };
+}
+
+module.exports = { recordTransitions, rebuildStateTransitions };
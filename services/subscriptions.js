@@ -0,0 +1,108 @@
+/* =========================================================
+   📡 LIVE UPDATE SUBSCRIPTIONS (per machine / line / event)
+   =========================================================
+   Clients send { type: "subscribe" | "unsubscribe", machines?, lines?,
+   events? }. An event is delivered when its type is in `events` and its
+   machine is in `machines` or on one of `lines`; an empty list means no
+   filter on that part, so a client that never subscribes gets everything.
+*/
+
+const EVENT_TYPES = ["machine_update", "live_status_update"];
+const LIST_FIELDS = ["machines", "lines", "events"];
+
+function newSubscription() {
+  return { machines: new Set(), lines: new Set(), events: new Set() };
+}
+
+function describeSubscription(sub) {
+  return {
+    machines: [...sub.machines],
+    lines: [...sub.lines],
+    events: [...sub.events],
+  };
+}
+
+// Applies a subscribe/unsubscribe message → error message, or null when done
+function applySubscriptionMessage(sub, msg) {
+  if (!msg || !["subscribe", "unsubscribe"].includes(msg.type)) {
+    return 'type must be "subscribe" or "unsubscribe"';
+  }
+
+  for (const field of LIST_FIELDS) {
+    const values = msg[field];
+    if (values === undefined) continue;
+    if (
+      !Array.isArray(values) ||
+      !values.every((v) => typeof v === "string" && v.trim())
+    ) {
+      return `${field} must be an array of names`;
+    }
+    if (field === "events") {
+      const unknown = values.find((v) => !EVENT_TYPES.includes(v));
+      if (unknown) {
+        return `Unknown event ${unknown} (${EVENT_TYPES.join(", ")})`;
+      }
+    }
+  }
+
+  // A bare unsubscribe clears every filter
+  if (
+    msg.type === "unsubscribe" &&
+    LIST_FIELDS.every((f) => msg[f] === undefined)
+  ) {
+    LIST_FIELDS.forEach((f) => sub[f].clear());
+    return null;
+  }
+
+  LIST_FIELDS.forEach((field) => {
+    (msg[field] || []).forEach((value) => {
+      if (msg.type === "subscribe") sub[field].add(value.trim());
+      else sub[field].delete(value.trim());
+    });
+  });
+  return null;
+}
+
+// lineOf: machine name → line (or null)
+function matchesMachine(sub, machine, lineOf) {
+  if (sub.machines.size === 0 && sub.lines.size === 0) return true;
+  if (sub.machines.has(machine)) return true;
+  const line = lineOf(machine);
+  return !!line && sub.lines.has(line);
+}
+
+function matchesEvent(sub, type) {
+  return sub.events.size === 0 || sub.events.has(type);
+}
+
+// Part of a broadcast payload the subscriber should get (the payload itself
+// when nothing is filtered out), or null. Payloads are either
+// [{ type, machine, ... }] (machine_update) or
+// { type, data: [{ machine, ... }] } (live_status_update).
+function filterPayload(sub, payload, lineOf) {
+  if (Array.isArray(payload)) {
+    const items = payload.filter(
+      (p) =>
+        matchesEvent(sub, p.type) && matchesMachine(sub, p.machine, lineOf),
+    );
+    if (items.length === payload.length) return payload;
+    return items.length > 0 ? items : null;
+  }
+
+  if (!matchesEvent(sub, payload.type)) return null;
+  if (!Array.isArray(payload.data)) return payload;
+  const data = payload.data.filter((d) =>
+    matchesMachine(sub, d.machine, lineOf),
+  );
+  if (data.length === payload.data.length) return payload;
+  return data.length > 0 ? { ...payload, data } : null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  newSubscription,
+  describeSubscription,
+  applySubscriptionMessage,
+  matchesMachine,
+  filterPayload,
+};
@@ -0,0 +1,117 @@
+const { parseToUTC } = require("../utils/time");
+
+/* =========================================================
+   🧾 INGESTION PAYLOAD VALIDATION
+   ========================================================= */
+
+const STATUSES = ["RUNNING", "OFF", "DOWNTIME", "UNKNOWN"];
+
+// Declared payload schemas. Optional fields may be omitted or null;
+// fields not listed here are ignored.
+const MACHINE_DATA_SCHEMA = {
+  machine: { type: "string", required: true, maxLength: 100 },
+  timestamp: { type: "timestamp", required: true },
+  status: { type: "enum", values: STATUSES },
+  durationSeconds: { type: "number", min: 0 },
+  shift: { type: "string", maxLength: 50 },
+  pieceCount: { type: "integer", min: 0 },
+  rejectCount: { type: "integer", min: 0 },
+};
+
+const LIVE_STATUS_SCHEMA = {
+  machine: { type: "string", required: true, maxLength: 100 },
+  status: { type: "enum", values: STATUSES, required: true },
+  timestamp: { type: "timestamp" },
+};
+
+// Problem with one field → message, or null when the value is fine
+function checkField(value, rule) {
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string" || !value.trim()) {
+        return "must be a non-empty string";
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+    case "enum":
+      return rule.values.includes(value)
+        ? null
+        : `must be one of ${rule.values.join(", ")}`;
+    case "timestamp":
+      if (typeof value !== "string" && typeof value !== "number") {
+        return "must be an ISO 8601 string or epoch milliseconds";
+      }
+      // Only parseability is checked here, so no zone lookup (and no
+      // database) is needed; the machine's zone applies when it is stored
+      return parseToUTC(value) ? null : "is not a valid timestamp";
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return "must be an integer";
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be >= ${rule.min}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// First problem with an item → { reason, field, message }, or null when valid
+function validateItem(item, schema) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return {
+      reason: "INVALID_ITEM",
+      field: null,
+      message: "Item must be a JSON object",
+    };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = item[field];
+    if (value === undefined || value === null) {
+      if (!rule.required) continue;
+      return {
+        reason: "MISSING_FIELD",
+        field,
+        message: `${field} is required`,
+      };
+    }
+
+    const problem = checkField(value, rule);
+    if (problem) {
+      return {
+        reason: "INVALID_FIELD",
+        field,
+        message: `${field} ${problem}`,
+      };
+    }
+  }
+  return null;
+}
+
+// Splits a batch by schema. Both lists keep the item's index in the batch.
+function validateItems(items, schema) {
+  const valid = [];
+  const invalid = [];
+  items.forEach((item, index) => {
+    const problem = validateItem(item, schema);
+    if (problem) invalid.push({ index, item, ...problem });
+    else valid.push({ index, item });
+  });
+  return { valid, invalid };
+}
+
+module.exports = {
+  STATUSES,
+  MACHINE_DATA_SCHEMA,
+  LIVE_STATUS_SCHEMA,
+  validateItem,
+  validateItems,
+};
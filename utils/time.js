@@ -0,0 +1,203 @@
+/* =========================================================
+   🕒 TIME HELPERS (IANA time zones, plant default from .env)
+   ========================================================= */
+
+// Plant wall-clock zone used when neither the caller nor the site says
+// otherwise. Dates are always stored in UTC.
+const PLANT_TIMEZONE = process.env.PLANT_TIMEZONE || "Asia/Karachi";
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Offset of `timeZone` from UTC at instant `ms` (milliseconds, +05:00 → +18000000)
+function tzOffsetMs(ms, timeZone) {
+  const whole = Math.floor(ms / 1000) * 1000;
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(whole))
+    .forEach((p) => (parts[p.type] = p.value));
+
+  const asUTC = Date.UTC(
+    +parts.year,
+    +parts.month - 1,
+    +parts.day,
+    +parts.hour,
+    +parts.minute,
+    +parts.second,
+  );
+  return asUTC - whole;
+}
+
+// Wall-clock milliseconds (as if UTC) → real UTC instant in `timeZone`
+function wallToUTC(wallMs, timeZone) {
+  const guess = wallMs - tzOffsetMs(wallMs, timeZone);
+  return new Date(wallMs - tzOffsetMs(guess, timeZone));
+}
+
+const NAIVE_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// Other formats Date understands ("1/15/2026 12:00", "Jan 15 2026 12:00"),
+// as accepted before zones were supported: the fields Date reads are
+// taken as wall-clock time in `timeZone`
+function parseLooseWallClock(value, timeZone) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  const wall = Date.UTC(
+    d.getFullYear(),
+    d.getMonth(),
+    d.getDate(),
+    d.getHours(),
+    d.getMinutes(),
+    d.getSeconds(),
+    d.getMilliseconds(),
+  );
+  return wallToUTC(wall, timeZone);
+}
+
+// Strings without an offset are wall-clock time in `timeZone`
+function parseToUTC(value, timeZone = PLANT_TIMEZONE) {
+  if (!value) return null;
+
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  if (typeof value === "string") {
+    const hasTimezone = /Z$|[+-]\d{2}:?\d{2}$/.test(value.trim());
+
+    if (!hasTimezone) {
+      const m = NAIVE_DATE.exec(value.trim());
+      if (!m) return parseLooseWallClock(value, timeZone);
+      const wall = Date.UTC(
+        +m[1],
+        +m[2] - 1,
+        +m[3],
+        +(m[4] || 0),
+        +(m[5] || 0),
+        +(m[6] || 0),
+        +(m[7] || "0").padEnd(3, "0"),
+      );
+      return wallToUTC(wall, timeZone);
+    }
+
+    const dt = new Date(value);
+    return isNaN(dt.getTime()) ? null : dt;
+  }
+
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function toUTCString(date) {
+  if (!date) return null;
+  const d = new Date(date);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// "2026-01-15T12:00:00.000+05:00"
+function formatLocal(date, timeZone = PLANT_TIMEZONE) {
+  if (!date) return null;
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return null;
+
+  const offset = tzOffsetMs(d.getTime(), timeZone);
+  const local = new Date(d.getTime() + offset).toISOString().slice(0, 23);
+  const sign = offset < 0 ? "-" : "+";
+  const minutes = Math.abs(offset) / 60000;
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${local}${sign}${hh}:${mm}`;
+}
+
+// Date whose UTC fields read as the wall clock in `timeZone`, for
+// consumers without zone support (Excel date cells)
+function wallClockDate(date, timeZone = PLANT_TIMEZONE) {
+  if (!date) return null;
+  const ms = new Date(date).getTime();
+  return isNaN(ms) ? null : new Date(ms + tzOffsetMs(ms, timeZone));
+}
+
+// Real UTC ISO string in `field` plus the local time in `${field}Local`
+function withLocal(obj, fields, timeZone = PLANT_TIMEZONE) {
+  fields.forEach((f) => {
+    const value = obj[f];
+    obj[f] = toUTCString(value);
+    obj[`${f}Local`] = formatLocal(value, timeZone);
+  });
+  return obj;
+}
+
+// "YYYY-MM-DD" of `date` in `timeZone`
+function localDateKey(date, timeZone = PLANT_TIMEZONE) {
+  const ms = new Date(date).getTime();
+  return new Date(ms + tzOffsetMs(ms, timeZone)).toISOString().slice(0, 10);
+}
+
+// UTC instant of wall time `hhmm` ("07:00") on day `dateKey` in `timeZone`
+function localTimeToUTC(dateKey, hhmm = "00:00", timeZone = PLANT_TIMEZONE) {
+  return wallToUTC(Date.parse(`${dateKey}T${hhmm}:00Z`), timeZone);
+}
+
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday
+function weekdayOf(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+// Local calendar day containing `date` → { key, date, start, end } (UTC)
+function dayWindow(date, timeZone = PLANT_TIMEZONE) {
+  const key = localDateKey(date, timeZone);
+  return {
+    key,
+    date: key,
+    start: localTimeToUTC(key, "00:00", timeZone),
+    end: localTimeToUTC(addDays(key, 1), "00:00", timeZone),
+  };
+}
+
+module.exports = {
+  PLANT_TIMEZONE,
+  isValidTimeZone,
+  parseToUTC,
+  toUTCString,
+  formatLocal,
+  wallClockDate,
+  withLocal,
+  localDateKey,
+  localTimeToUTC,
+  addDays,
+  weekdayOf,
+  dayWindow,
+};